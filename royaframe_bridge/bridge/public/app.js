@@ -6,6 +6,7 @@
 let ws = null;
 let entitiesLoaded = false;
 const entityStates = new Map();
+let serviceRules = [];
 
 /**
  * Make API request to the bridge server
@@ -16,7 +17,14 @@ async function api(endpoint, options = {}) {
     const path = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
     const response = await fetch(`./${path}`, options);
     if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+        let message = `HTTP ${response.status}`;
+        try {
+            const body = await response.json();
+            if (body && body.error) message = body.error;
+        } catch {
+            // Non-JSON error body
+        }
+        throw new Error(message);
     }
     return response.json();
 }
@@ -244,6 +252,253 @@ async function stopRelay() {
     }
 }
 
+/**
+ * Load remote service-call rules
+ */
+async function loadServiceRules() {
+    try {
+        const data = await api('/relay/service-rules');
+        serviceRules = data.rules || [];
+        document.getElementById('rules-default-action').value = data.default_action || 'allow';
+        renderServiceRules();
+        setRulesStatus(data.source === 'defaults' ? 'Using default rules' : '');
+    } catch (error) {
+        setRulesStatus('Failed to load rules: ' + error.message);
+    }
+}
+
+/**
+ * Render the rules table
+ */
+function renderServiceRules() {
+    const body = document.getElementById('rules-body');
+    if (!body) return;
+
+    if (serviceRules.length === 0) {
+        body.innerHTML = '<tr><td colspan="5" style="color: #666;">No rules</td></tr>';
+        return;
+    }
+
+    body.innerHTML = serviceRules.map((rule, index) => `
+        <tr>
+            <td><code>${escapeHtml(rule.domain)}</code></td>
+            <td><code>${escapeHtml(rule.service)}</code></td>
+            <td><code>${escapeHtml(rule.entity)}</code></td>
+            <td>${escapeHtml(rule.action)}</td>
+            <td><button onclick="removeServiceRule(${index})">Remove</button></td>
+        </tr>
+    `).join('');
+}
+
+function setRulesStatus(text) {
+    const el = document.getElementById('rules-status');
+    if (el) el.textContent = text;
+}
+
+/**
+ * Add a rule from the form (saved with "Save Rules")
+ */
+function addServiceRule() {
+    const domainEl = document.getElementById('rule-domain');
+    const serviceEl = document.getElementById('rule-service');
+    const entityEl = document.getElementById('rule-entity');
+    const domain = domainEl.value.trim();
+
+    if (!domain) {
+        setRulesStatus('Domain is required');
+        return;
+    }
+
+    serviceRules.push({
+        domain,
+        service: serviceEl.value.trim() || '*',
+        entity: entityEl.value.trim() || '*',
+        action: document.getElementById('rule-action').value
+    });
+    domainEl.value = '';
+    serviceEl.value = '';
+    entityEl.value = '';
+    renderServiceRules();
+    setRulesStatus('Unsaved changes');
+}
+
+function removeServiceRule(index) {
+    serviceRules.splice(index, 1);
+    renderServiceRules();
+    setRulesStatus('Unsaved changes');
+}
+
+/**
+ * Persist the rule list
+ */
+async function saveServiceRules() {
+    try {
+        const data = await api('/relay/service-rules', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                default_action: document.getElementById('rules-default-action').value,
+                rules: serviceRules
+            })
+        });
+        serviceRules = data.rules || [];
+        renderServiceRules();
+        setRulesStatus('Saved');
+    } catch (error) {
+        setRulesStatus('Failed to save: ' + error.message);
+    }
+}
+
+async function resetServiceRules() {
+    if (!confirm('Replace all rules with the defaults?')) return;
+    try {
+        await api('/relay/service-rules/reset', { method: 'POST' });
+        await loadServiceRules();
+    } catch (error) {
+        setRulesStatus('Failed to reset: ' + error.message);
+    }
+}
+
+/**
+ * Show whether an action PIN is configured
+ */
+async function loadPinStatus() {
+    try {
+        const status = await api('/relay/pin');
+        if (!status.configured) {
+            setStatus('pin-status', false, 'Not set');
+        } else if (status.locked) {
+            setStatus('pin-status', false, `Locked for ${status.locked_clients} client(s) (${status.locked_for}s)`);
+        } else {
+            setStatus('pin-status', true, 'Set');
+        }
+    } catch (error) {
+        setStatus('pin-status', false, 'Error');
+    }
+}
+
+async function savePin() {
+    const input = document.getElementById('pin-input');
+    try {
+        await api('/relay/pin', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin: input.value })
+        });
+        input.value = '';
+        await loadPinStatus();
+    } catch (error) {
+        alert('Failed to set PIN: ' + error.message);
+    }
+}
+
+async function clearPin() {
+    if (!confirm('Remove the action PIN? Calls that require a PIN will be rejected.')) return;
+    try {
+        await api('/relay/pin', { method: 'DELETE' });
+        await loadPinStatus();
+    } catch (error) {
+        alert('Failed to clear PIN: ' + error.message);
+    }
+}
+
+/**
+ * Load outbound webhooks and their delivery stats
+ */
+async function loadWebhooks() {
+    try {
+        const data = await api('/webhooks');
+        renderWebhooks(data.webhooks || []);
+        document.getElementById('webhook-dead-letters').textContent = data.dead_letters;
+    } catch (error) {
+        setWebhooksStatus('Failed to load webhooks: ' + error.message);
+    }
+}
+
+function renderWebhooks(webhooks) {
+    const body = document.getElementById('webhooks-body');
+    if (!body) return;
+
+    if (webhooks.length === 0) {
+        body.innerHTML = '<tr><td colspan="5" style="color: #666;">No webhooks</td></tr>';
+        return;
+    }
+
+    body.innerHTML = webhooks.map(webhook => `
+        <tr>
+            <td title="${escapeHtml(webhook.url)}">${escapeHtml(webhook.name)}${webhook.enabled ? '' : ' (disabled)'}</td>
+            <td><code>${escapeHtml(webhook.entities.join(', ') || 'all')}</code></td>
+            <td>${webhook.delivered}${webhook.failed ? ` / ${webhook.failed} failed` : ''}${webhook.dropped ? ` / ${webhook.dropped} dropped` : ''}</td>
+            <td>${escapeHtml(webhook.last_error || (webhook.last_status ? `HTTP ${webhook.last_status}` : '-'))}</td>
+            <td>
+                <button onclick="testWebhook('${webhook.id}')" style="background: #03a9f4;">Test</button>
+                <button onclick="removeWebhook('${webhook.id}')">Remove</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function setWebhooksStatus(text) {
+    const el = document.getElementById('webhooks-status');
+    if (el) el.textContent = text;
+}
+
+async function addWebhook() {
+    const nameEl = document.getElementById('webhook-name');
+    const urlEl = document.getElementById('webhook-url');
+    const entitiesEl = document.getElementById('webhook-entities');
+    try {
+        const webhook = await api('/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: nameEl.value.trim(),
+                url: urlEl.value.trim(),
+                entities: entitiesEl.value.split(',').map(e => e.trim()).filter(Boolean)
+            })
+        });
+        nameEl.value = '';
+        urlEl.value = '';
+        entitiesEl.value = '';
+        // The secret is only shown once
+        const secretEl = document.getElementById('webhook-secret');
+        secretEl.innerHTML = `Secret for <b>${escapeHtml(webhook.name)}</b> (copy it now, it is not shown again):<br><code>${escapeHtml(webhook.secret)}</code>`;
+        secretEl.style.display = 'block';
+        setWebhooksStatus('');
+        await loadWebhooks();
+    } catch (error) {
+        setWebhooksStatus('Failed to add webhook: ' + error.message);
+    }
+}
+
+async function testWebhook(id) {
+    try {
+        const result = await api(`/webhooks/${id}/test`, { method: 'POST' });
+        setWebhooksStatus(result.ok ? `Test delivered (HTTP ${result.status})` : `Test failed: ${result.error}`);
+    } catch (error) {
+        setWebhooksStatus('Test failed: ' + error.message);
+    }
+}
+
+async function removeWebhook(id) {
+    if (!confirm('Remove this webhook?')) return;
+    try {
+        await api(`/webhooks/${id}`, { method: 'DELETE' });
+        await loadWebhooks();
+    } catch (error) {
+        setWebhooksStatus('Failed to remove webhook: ' + error.message);
+    }
+}
+
+async function clearWebhookDeadLetters() {
+    try {
+        await api('/webhooks/dead-letters', { method: 'DELETE' });
+        await loadWebhooks();
+    } catch (error) {
+        setWebhooksStatus('Failed to clear: ' + error.message);
+    }
+}
+
 /**
  * Connect to local WebSocket for live updates
  */
@@ -375,12 +630,84 @@ async function loadEntities() {
     btn.textContent = 'Load Entities';
 }
 
+/**
+ * Load API keys for direct (non-Ingress) access
+ */
+async function loadApiKeys() {
+    try {
+        const data = await api('/auth/keys');
+        renderApiKeys(data.keys || []);
+    } catch (error) {
+        setApiKeysStatus('Failed to load API keys: ' + error.message);
+    }
+}
+
+function renderApiKeys(keys) {
+    const body = document.getElementById('api-keys-body');
+    if (!body) return;
+
+    if (keys.length === 0) {
+        body.innerHTML = '<tr><td colspan="5" style="color: #666;">No API keys</td></tr>';
+        return;
+    }
+
+    body.innerHTML = keys.map(key => `
+        <tr>
+            <td>${escapeHtml(key.name)}</td>
+            <td><code>${escapeHtml(key.hint)}</code></td>
+            <td>${new Date(key.created_at).toLocaleDateString()}</td>
+            <td>${key.last_used_at ? new Date(key.last_used_at).toLocaleString() : '-'}</td>
+            <td><button onclick="revokeApiKey('${key.id}')">Revoke</button></td>
+        </tr>
+    `).join('');
+}
+
+function setApiKeysStatus(text) {
+    const el = document.getElementById('api-keys-status');
+    if (el) el.textContent = text;
+}
+
+async function createApiKey() {
+    const nameEl = document.getElementById('api-key-name');
+    try {
+        const key = await api('/auth/keys', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: nameEl.value.trim() })
+        });
+        nameEl.value = '';
+        // The key is only shown once
+        const secretEl = document.getElementById('api-key-secret');
+        secretEl.innerHTML = `API key for <b>${escapeHtml(key.name)}</b> (copy it now, it is not shown again):<br><code>${escapeHtml(key.key)}</code>`;
+        secretEl.style.display = 'block';
+        setApiKeysStatus('');
+        await loadApiKeys();
+    } catch (error) {
+        setApiKeysStatus('Failed to create API key: ' + error.message);
+    }
+}
+
+async function revokeApiKey(id) {
+    if (!confirm('Revoke this API key? Clients using it lose access.')) return;
+    try {
+        await api(`/auth/keys/${id}`, { method: 'DELETE' });
+        await loadApiKeys();
+    } catch (error) {
+        setApiKeysStatus('Failed to revoke API key: ' + error.message);
+    }
+}
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
     checkBridgeHealth();
     checkHaConnection();
+    loadServiceRules();
+    loadPinStatus();
+    loadWebhooks();
+    loadApiKeys();
     connectWebSocket();
 
     // Refresh status periodically
     setInterval(checkBridgeHealth, 30000);
+    setInterval(loadWebhooks, 30000);
 });
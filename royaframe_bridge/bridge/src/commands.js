@@ -0,0 +1,446 @@
+/**
+ * Command layer shared by the local /ws endpoint and the relay.
+ * Owns validation, authorization and the Home Assistant calls; the transports only parse
+ * frames, keep their stream state and format replies (see wsServer.js and relay.js).
+ *
+ * A session describes one client connection:
+ *   tag     - log prefix ('wsServer', 'relay')
+ *   channel - protocol.js channel its messages are validated against ('ws', 'relay')
+ *   remote  - remote viewers get the exposure policy and image references; service rules
+ *             and the action PIN apply to every session
+ *   client  - who is connected ('ws:<address>', 'relay'), for per-client PIN lockouts;
+ *             relay frames carrying a viewer_id are also counted per viewer
+ *   send    - (frame) => boolean, for pushed frames (events, templates, image chunks)
+ *   isOpen  - () => boolean, false once the connection is gone
+ *   subscriptions - HA event/template subscription id -> owning viewer_id ('' without one);
+ *             relay viewers can only end their own, and their frames carry their viewer_id
+ *
+ * Requests may correlate with `id` or `request_id`; replies echo whichever was sent.
+ * call_service accepts `data` or `service_data`, and a UUID `idempotency_key` (idempotency.js).
+ *
+ * Adapters run validate() on every command (including the stream commands they handle
+ * themselves) before dispatch(); failures are BridgeErrors (errors.js).
+ */
+
+const haWS = require('./haWebSocket');
+const stateStream = require('./stateStream');
+const exposurePolicy = require('./exposure');
+const history = require('./history');
+const images = require('./images');
+const idempotency = require('./idempotency');
+const protocol = require('./protocol');
+const { validate: validateSchema } = require('./schema');
+const { authorizeServiceCall } = require('./serviceAuth');
+const { BridgeError, toErrorPayload } = require('./errors');
+
+// Event/template subscriptions per viewer (per client on /ws), and per relay connection
+const MAX_EVENT_SUBSCRIPTIONS = 50;
+const MAX_SESSION_SUBSCRIPTIONS = 500;
+// Largest inbound command frame; image and state replies are not limited
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// Default history resolution for remote viewers
+const REMOTE_HISTORY_POINTS = 200;
+// Event types remote viewers may subscribe to, besides custom `royaframe_*` events. Others such as
+// call_service, logbook_entry or user events carry data the exposure policy cannot filter.
+const REMOTE_EVENT_TYPES = new Set([
+    'state_changed', 'automation_triggered', 'script_started', 'zha_event', 'deconz_event',
+    'hue_event', 'zwave_js_notification', 'zwave_js_value_notification', 'tag_scanned'
+]);
+const REMOTE_EVENT_PREFIX = 'royaframe_';
+// Trigger platforms remote viewers may use; template and other triggers can read any entity
+const REMOTE_TRIGGER_PLATFORMS = new Set([
+    'state', 'numeric_state', 'event', 'time', 'time_pattern', 'sun', 'zone', 'tag', 'homeassistant'
+]);
+
+/**
+ * Create a session for a client connection
+ */
+function createSession({ tag, channel, remote, client, send, isOpen }) {
+    return { tag, channel, remote: !!remote, client: client || channel, send, isOpen, subscriptions: new Map() };
+}
+
+/**
+ * Relay viewer a command came from, or '' if the frame has no viewer_id
+ */
+function viewerOf(msg) {
+    return typeof msg.viewer_id === 'string' ? msg.viewer_id : '';
+}
+
+/**
+ * Client a command came from: the session's client, narrowed to the relay's viewer_id if sent
+ */
+function clientOf(session, msg) {
+    const viewer = viewerOf(msg);
+    return viewer ? `${session.client}:${viewer}` : session.client;
+}
+
+/**
+ * Parse a raw frame. Throws invalid_request for anything but a JSON object.
+ */
+function parse(data) {
+    let msg;
+    try {
+        msg = JSON.parse(data.toString());
+    } catch {
+        throw new BridgeError('invalid_request', 'Invalid JSON');
+    }
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        throw new BridgeError('invalid_request', 'Message must be a JSON object');
+    }
+    return msg;
+}
+
+/**
+ * Whether a message type is a command on the session's channel
+ */
+function isCommand(session, type) {
+    return Object.prototype.hasOwnProperty.call(protocol[session.channel].commands, type);
+}
+
+/**
+ * Check a command against its schema in protocol.js (types, required fields, size limits)
+ * @param {number} [size] - Frame size in bytes
+ */
+function validate(session, msg, size = 0) {
+    if (!isCommand(session, msg.type)) {
+        throw new BridgeError('unknown_command', `Unknown message type: ${msg.type}`);
+    }
+    if (size > MAX_MESSAGE_BYTES) {
+        throw new BridgeError('limit_exceeded', `Message too large (max ${MAX_MESSAGE_BYTES} bytes)`, { size });
+    }
+    const errors = validateSchema(protocol[session.channel].commands[msg.type], msg, 'message');
+    if (errors.length > 0) {
+        throw new BridgeError('invalid_request', errors.join('; '), { errors });
+    }
+}
+
+/**
+ * Reject a remote request, logging why
+ */
+function reject(session, msg, code, message, details) {
+    const what = msg.type === 'call_service' ? `call_service ${msg.domain}.${msg.service}` : msg.type;
+    console.warn(`[${session.tag}] Rejected ${what}: ${code} (${message})`);
+    return new BridgeError(code, message, details);
+}
+
+function assertExposed(session, msg, entityIds) {
+    if (!session.remote) return;
+    const hidden = entityIds.find(entityId => !exposurePolicy.isExposed(entityId));
+    if (hidden) throw reject(session, msg, 'forbidden', `Entity not exposed: ${hidden}`);
+}
+
+/**
+ * States as a session may see them
+ */
+function visibleStates(session, states) {
+    if (!session.remote) return states;
+    return exposurePolicy.filterStates(states).map(s => ({
+        ...s,
+        attributes: images.rewriteAttributes(s.entity_id, s.attributes)
+    }));
+}
+
+async function callService(session, msg) {
+    const { domain, service } = msg;
+    if (typeof domain !== 'string' || !domain || typeof service !== 'string' || !service) {
+        throw new BridgeError('invalid_request', 'Missing domain or service');
+    }
+    const serviceData = msg.data || msg.service_data || {};
+    const target = msg.target || {};
+
+    const auth = await authorizeServiceCall(
+        { domain, service, serviceData, target, pin: msg.pin },
+        { checkExposure: session.remote, client: clientOf(session, msg), connection: session.client }
+    );
+    if (!auth.ok) {
+        const { ok, code, message, ...details } = auth;
+        throw reject(session, msg, code, message, details);
+    }
+
+    const returnResponse = msg.return_response === true;
+    const run = async () => {
+        const result = await haWS.callService(domain, service, serviceData, target, { returnResponse });
+        if (session.remote && result?.response) {
+            result.response = exposurePolicy.filterServiceResponse(result.response);
+        }
+        return result;
+    };
+    if (msg.idempotency_key === undefined) return run();
+
+    // Authorization above still runs for duplicates; only the HA call is deduplicated.
+    // Keys are per client; relay viewers without a viewer_id share one scope, hence UUID keys.
+    const fingerprint = JSON.stringify([domain, service, serviceData, target, returnResponse]);
+    return idempotency.run(`${clientOf(session, msg)}:${msg.idempotency_key.toLowerCase()}`, fingerprint, run);
+}
+
+function getStates(session) {
+    haWS.assertStates();
+    return { ...stateStream.getPosition(), data: visibleStates(session, haWS.getAllStates()) };
+}
+
+function parseHistoryQuery(session, msg) {
+    const points = msg.points ?? (session.remote ? REMOTE_HISTORY_POINTS : undefined);
+    return history.parseQuery({ ...msg, points });
+}
+
+async function getHistory(session, msg) {
+    const query = parseHistoryQuery(session, msg);
+    if (query.entityIds.length === 0) {
+        throw new BridgeError('invalid_request', 'entity_id is required');
+    }
+    assertExposed(session, msg, query.entityIds);
+    return history.getHistory(query);
+}
+
+async function getLogbook(session, msg) {
+    const query = parseHistoryQuery(session, msg);
+    assertExposed(session, msg, query.entityIds);
+    const transform = session.remote ? entry => exposurePolicy.filterLogbookEntry(entry) : undefined;
+    return history.getLogbook(query, transform);
+}
+
+/**
+ * Send image_chunk frames (base64), then return the image description.
+ * Accepts { entity_id } or { ref } (a rewritten entity_picture) and an optional width/height box.
+ */
+async function getImage(session, msg) {
+    const entityId = msg.entity_id || images.parseRef(msg.ref);
+    if (!entityId) {
+        throw new BridgeError('invalid_request', 'entity_id or ref is required');
+    }
+    assertExposed(session, msg, [entityId]);
+
+    const image = await images.getImage(entityId, { width: msg.width, height: msg.height });
+    const chunks = images.toChunks(image.data);
+    for (let index = 0; index < chunks.length; index++) {
+        const frame = { type: 'image_chunk', index, total: chunks.length, data: chunks[index] };
+        if (!session.send(correlate(msg, frame))) return undefined;
+    }
+    return {
+        entity_id: entityId,
+        content_type: image.content_type,
+        size: image.data.length,
+        chunks: chunks.length,
+        encoding: 'base64',
+        resized: image.resized
+    };
+}
+
+/**
+ * Create an HA subscription owned by a session and the viewer that asked for it
+ * @param {function} subscribe - (listener) => Promise<subscription id>
+ * @param {function} toFrame - (subscription, event) => frame to push, or null to skip
+ * @returns {Promise<{ subscription: number } | undefined>} undefined if the session closed meanwhile
+ */
+async function addSubscription(session, msg, subscribe, toFrame) {
+    const viewer = viewerOf(msg);
+    const owned = [...session.subscriptions.values()].filter(owner => owner === viewer).length;
+    if (owned >= MAX_EVENT_SUBSCRIPTIONS || session.subscriptions.size >= MAX_SESSION_SUBSCRIPTIONS) {
+        throw new BridgeError('limit_exceeded', `Too many event subscriptions (max ${MAX_EVENT_SUBSCRIPTIONS})`);
+    }
+
+    let subscription = null;
+    subscription = await subscribe((event) => {
+        if (!session.isOpen()) return;
+        const frame = toFrame(subscription, event);
+        if (frame) session.send(viewer ? { ...frame, viewer_id: viewer } : frame);
+    });
+
+    // Client went away while HA was answering
+    if (!session.isOpen()) {
+        haWS.unsubscribe(subscription);
+        return undefined;
+    }
+    session.subscriptions.set(subscription, viewer);
+    return { subscription };
+}
+
+function isRemoteEventType(eventType) {
+    return typeof eventType === 'string' && (REMOTE_EVENT_TYPES.has(eventType) || eventType.startsWith(REMOTE_EVENT_PREFIX));
+}
+
+/**
+ * Throw forbidden unless a remote session may subscribe to this event type or trigger
+ */
+function assertRemoteSubscription(session, msg, isTrigger) {
+    if (!session.remote) return;
+    if (!isTrigger) {
+        if (!isRemoteEventType(msg.event_type)) {
+            throw reject(session, msg, 'forbidden', `Event type not available remotely: ${msg.event_type}`);
+        }
+        return;
+    }
+    for (const trigger of [].concat(msg.trigger)) {
+        // `trigger` replaced `platform` as the key in HA 2024.10
+        const platform = trigger?.trigger ?? trigger?.platform;
+        if (!REMOTE_TRIGGER_PLATFORMS.has(platform)) {
+            throw reject(session, msg, 'forbidden', `Trigger platform not available remotely: ${platform}`);
+        }
+        if (platform === 'event' && ![].concat(trigger.event_type).every(isRemoteEventType)) {
+            throw reject(session, msg, 'forbidden', `Event type not available remotely: ${trigger.event_type}`);
+        }
+    }
+}
+
+/**
+ * Subscribe to an HA event type ({ event_type }) or trigger ({ trigger, variables }).
+ * Remote sessions are limited to REMOTE_EVENT_TYPES and REMOTE_TRIGGER_PLATFORMS, and do not
+ * get events mentioning non-exposed entities.
+ */
+function subscribeEvents(session, msg) {
+    const isTrigger = msg.trigger && typeof msg.trigger === 'object';
+    if (!isTrigger && (typeof msg.event_type !== 'string' || !msg.event_type)) {
+        throw new BridgeError('invalid_request', 'event_type or trigger is required');
+    }
+    assertRemoteSubscription(session, msg, isTrigger);
+    return addSubscription(session, msg,
+        (listener) => isTrigger
+            ? haWS.subscribeTrigger(msg.trigger, msg.variables, listener)
+            : haWS.subscribeEvents(msg.event_type, listener),
+        (subscription, event) => {
+            if (session.remote && !exposurePolicy.isEventExposed(event)) return null;
+            return { type: 'event', subscription, event };
+        });
+}
+
+/**
+ * Subscribe to a live template rendering ({ template, variables }).
+ * Remote output is withheld while the template reads entities that are not exposed.
+ */
+function subscribeTemplate(session, msg) {
+    if (typeof msg.template !== 'string' || !msg.template.trim()) {
+        throw new BridgeError('invalid_request', 'template is required');
+    }
+    let last;
+    return addSubscription(session, msg,
+        (listener) => haWS.subscribeTemplate(msg.template, msg.variables, listener),
+        (subscription, event) => {
+            let frame;
+            if (event.error !== undefined) {
+                frame = { type: 'template', subscription, error: { code: 'template_error', message: event.error } };
+            } else if (session.remote && !exposurePolicy.isTemplateExposed(event.listeners)) {
+                frame = { type: 'template', subscription, error: { code: 'forbidden', message: 'Template reads entities that are not exposed' } };
+            } else {
+                frame = { type: 'template', subscription, result: event.result };
+            }
+            // Only push output that changed
+            const serialized = JSON.stringify(frame);
+            if (serialized === last) return null;
+            last = serialized;
+            return frame;
+        });
+}
+
+/**
+ * End a subscription; relay viewers only see their own
+ */
+function unsubscribe(session, msg) {
+    if (session.subscriptions.get(msg.subscription) !== viewerOf(msg)) {
+        throw new BridgeError('not_found', `Unknown subscription: ${msg.subscription}`);
+    }
+    session.subscriptions.delete(msg.subscription);
+    haWS.unsubscribe(msg.subscription);
+    return null;
+}
+
+const COMMANDS = {
+    call_service: callService,
+    get_states: getStates,
+    get_history: getHistory,
+    get_logbook: getLogbook,
+    get_image: getImage,
+    subscribe_events: subscribeEvents,
+    subscribe_template: subscribeTemplate,
+    unsubscribe_events: unsubscribe,
+    unsubscribe_template: unsubscribe,
+    ping: () => null
+};
+
+function has(type) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, type);
+}
+
+/**
+ * Run a validated command. Resolves with its result (undefined if the session closed
+ * meanwhile); rejects with a BridgeError.
+ */
+async function dispatch(session, msg) {
+    if (!has(msg.type)) {
+        throw new BridgeError('unknown_command', `Unknown message type: ${msg.type}`);
+    }
+    return COMMANDS[msg.type](session, msg);
+}
+
+/**
+ * Copy the request's correlation fields (id, request_id) onto a reply frame, and the
+ * relay's viewer_id so the reply reaches the viewer that asked
+ */
+function correlate(msg, frame) {
+    const reply = { ...frame };
+    if (msg.id !== undefined) reply.id = msg.id;
+    if (msg.request_id !== undefined) reply.request_id = msg.request_id;
+    if (msg.viewer_id !== undefined) reply.viewer_id = msg.viewer_id;
+    return reply;
+}
+
+/**
+ * Reply frame for a successful command. get_states and ping keep the reply types they had
+ * before the shared layer ({ type: 'states' }, { type: 'pong' }); everything else is a result.
+ */
+function toReply(msg, result) {
+    switch (msg.type) {
+        case 'get_states':
+            return correlate(msg, { type: 'states', ...result });
+        case 'ping':
+            return correlate(msg, { type: 'pong' });
+        default:
+            return correlate(msg, { type: 'result', success: true, result });
+    }
+}
+
+/**
+ * Reply frame for a failed command: a result with success: false and { code, message, details },
+ * or an error frame for get_states (whose success reply is a states frame)
+ */
+function toErrorReply(msg, err) {
+    const error = toErrorPayload(err);
+    if (msg.type === 'get_states') {
+        return correlate(msg, { type: 'error', error });
+    }
+    return correlate(msg, { type: 'result', success: false, error });
+}
+
+/**
+ * End all of a session's HA subscriptions
+ */
+function closeSession(session) {
+    for (const subscription of session.subscriptions.keys()) {
+        haWS.unsubscribe(subscription);
+    }
+    session.subscriptions.clear();
+}
+
+/**
+ * End the HA subscriptions of one relay viewer (viewer_offline)
+ */
+function closeViewer(session, viewer) {
+    for (const [subscription, owner] of session.subscriptions) {
+        if (owner !== viewer) continue;
+        haWS.unsubscribe(subscription);
+        session.subscriptions.delete(subscription);
+    }
+}
+
+module.exports = {
+    createSession,
+    parse,
+    isCommand,
+    validate,
+    dispatch,
+    has,
+    correlate,
+    toReply,
+    toErrorReply,
+    closeSession,
+    closeViewer
+};
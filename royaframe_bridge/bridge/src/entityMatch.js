@@ -0,0 +1,128 @@
+/**
+ * Entity selector helpers shared by the bridge's filtering features.
+ *
+ * A selector is a plain string:
+ *   - "light"              -> every entity in the light domain (no dot)
+ *   - "sensor.power_*"     -> entity_id glob (* and ? wildcards)
+ *   - "light.kitchen"      -> a single entity_id
+ *   - "area:living_room"   -> every entity assigned to an HA area (id or name)
+ */
+
+function splitEntityId(entityId) {
+    if (typeof entityId !== 'string') return { domain: null, objectId: null };
+    const dot = entityId.indexOf('.');
+    if (dot <= 0) return { domain: null, objectId: null };
+    return { domain: entityId.slice(0, dot), objectId: entityId.slice(dot + 1) };
+}
+
+function globToRegExp(glob) {
+    const escaped = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Parse a single selector string into { kind, value, regex? }.
+ * Returns null for empty or non-string input.
+ */
+function parseSelector(input) {
+    if (typeof input !== 'string') return null;
+    const value = input.trim().toLowerCase();
+    if (!value) return null;
+
+    if (value.startsWith('area:')) {
+        const area = value.slice(5).trim();
+        return area ? { kind: 'area', value: area } : null;
+    }
+    if (!value.includes('.')) {
+        return { kind: 'domain', value };
+    }
+    if (value.includes('*') || value.includes('?')) {
+        return { kind: 'glob', value, regex: globToRegExp(value) };
+    }
+    return { kind: 'entity', value };
+}
+
+function parseSelectors(list) {
+    if (!Array.isArray(list)) return [];
+    return list.map(parseSelector).filter(Boolean);
+}
+
+/**
+ * Test an entity against parsed selectors.
+ * @param {string} entityId
+ * @param {Array} selectors - output of parseSelectors()
+ * @param {function} [getAreas] - returns a Set of lowercase area ids/names for the entity
+ */
+function matchesAny(entityId, selectors, getAreas) {
+    if (!entityId || selectors.length === 0) return false;
+    const id = entityId.toLowerCase();
+    const { domain } = splitEntityId(id);
+    let areas = null;
+
+    for (const sel of selectors) {
+        switch (sel.kind) {
+            case 'domain':
+                if (domain === sel.value) return true;
+                break;
+            case 'entity':
+                if (id === sel.value) return true;
+                break;
+            case 'glob':
+                if (sel.regex.test(id)) return true;
+                break;
+            case 'area':
+                if (!getAreas) break;
+                if (!areas) areas = getAreas(id) || new Set();
+                if (areas.has(sel.value)) return true;
+                break;
+            default:
+                break;
+        }
+    }
+    return false;
+}
+
+/**
+ * Normalize an entity_id field from a service call (string, comma list or array).
+ */
+function toEntityIdList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list
+        .filter(v => typeof v === 'string')
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Collect what a call_service message targets.
+ * Entity ids may appear in target.entity_id or (legacy) service_data.entity_id.
+ * Returns { entityIds, otherTargets, otherTargetIds } where otherTargets lists non-entity
+ * target keys (area_id, device_id, ...) that cannot be checked per entity, and
+ * otherTargetIds holds their ids ({ area_id: ['kitchen'], ... }).
+ */
+function extractServiceTargets(serviceData, target) {
+    const entityIds = [
+        ...toEntityIdList(target?.entity_id),
+        ...toEntityIdList(serviceData?.entity_id)
+    ];
+    const otherTargetIds = {};
+    for (const key of ['area_id', 'device_id', 'floor_id', 'label_id']) {
+        const ids = [...new Set([...toEntityIdList(target?.[key]), ...toEntityIdList(serviceData?.[key])])];
+        if (ids.length > 0) otherTargetIds[key] = ids;
+    }
+    return { entityIds: [...new Set(entityIds)], otherTargets: Object.keys(otherTargetIds), otherTargetIds };
+}
+
+module.exports = {
+    splitEntityId,
+    globToRegExp,
+    parseSelector,
+    parseSelectors,
+    matchesAny,
+    toEntityIdList,
+    extractServiceTargets
+};
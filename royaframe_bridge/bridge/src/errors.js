@@ -0,0 +1,119 @@
+/**
+ * Error codes reported to clients (/ws, the relay and the REST API).
+ * Errors raised by the bridge are BridgeErrors; errors from Home Assistant are mapped onto
+ * the same codes, so clients can tell a bad request from HA being offline or slow.
+ */
+
+// Documented code set (README "Error codes"); clients should treat unknown codes as internal_error
+const CODES = {
+    invalid_request: 'The message failed validation (types, required fields, size limits)',
+    unknown_command: 'The message type is not supported',
+    unauthorized: 'Direct access without a valid API key or Home Assistant credentials',
+    forbidden: 'Not allowed by the exposure policy, service rules or Home Assistant',
+    not_found: 'Unknown entity, subscription, service or other resource',
+    limit_exceeded: 'Too many subscriptions, or a message or image that is too large',
+    pin_required: 'The call needs the action PIN',
+    pin_invalid: 'Wrong action PIN',
+    pin_locked: 'Too many wrong PINs; retry later',
+    ha_unavailable: 'Home Assistant is not connected or its states are not loaded yet',
+    timeout: 'Home Assistant did not answer in time',
+    template_error: 'A template failed to render',
+    ha_error: 'Home Assistant rejected or failed the request',
+    internal_error: 'Unexpected error in the bridge'
+};
+
+// Home Assistant websocket error codes (homeassistant/components/websocket_api/const.py)
+const HA_CODES = {
+    invalid_format: 'invalid_request',
+    service_validation_error: 'invalid_request',
+    not_found: 'not_found',
+    unauthorized: 'forbidden',
+    not_allowed: 'forbidden',
+    timeout: 'timeout',
+    template_error: 'template_error',
+    unknown_command: 'unknown_command',
+    not_supported: 'unknown_command'
+};
+
+// HTTP status for each code on the REST API
+const HTTP_STATUS = {
+    invalid_request: 400,
+    unknown_command: 400,
+    unauthorized: 401,
+    pin_required: 401,
+    pin_invalid: 401,
+    forbidden: 403,
+    not_found: 404,
+    limit_exceeded: 429,
+    pin_locked: 429,
+    internal_error: 500,
+    template_error: 400,
+    ha_error: 502,
+    ha_unavailable: 503,
+    timeout: 504
+};
+
+class BridgeError extends Error {
+    /**
+     * @param {string} code - One of CODES
+     * @param {string} message
+     * @param {object} [details] - Extra data for the client (retry_after, attempts_left, errors, ...)
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'BridgeError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Map an error object from an HA websocket result ({ code, message }) to a BridgeError
+ */
+function fromHAError(error) {
+    const haCode = error?.code || 'unknown_error';
+    const message = error?.message || 'Unknown error';
+    return new BridgeError(HA_CODES[haCode] || 'ha_error', message, { ha_code: haCode });
+}
+
+/**
+ * Map an HA REST response status to a BridgeError
+ */
+function fromHTTPStatus(status, statusText) {
+    const message = `HA API error: ${status} ${statusText}`;
+    if (status === 400) return new BridgeError('invalid_request', message, { status });
+    if (status === 401 || status === 403) return new BridgeError('forbidden', message, { status });
+    if (status === 404) return new BridgeError('not_found', message, { status });
+    if (status === 504) return new BridgeError('timeout', message, { status });
+    return new BridgeError('ha_error', message, { status });
+}
+
+/**
+ * Any error as a BridgeError; unexpected ones become internal_error
+ */
+function toBridgeError(err) {
+    if (err instanceof BridgeError) return err;
+    return new BridgeError('internal_error', err?.message || String(err));
+}
+
+/**
+ * Client-facing error: { code, message, details }
+ */
+function toErrorPayload(err) {
+    const { code, message, details } = toBridgeError(err);
+    return { code, message, details };
+}
+
+function httpStatus(code) {
+    return HTTP_STATUS[code] || 500;
+}
+
+module.exports = {
+    CODES,
+    BridgeError,
+    fromHAError,
+    fromHTTPStatus,
+    toBridgeError,
+    toErrorPayload,
+    httpStatus
+};
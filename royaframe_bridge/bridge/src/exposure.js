@@ -0,0 +1,197 @@
+/**
+ * Entity Exposure Policy
+ * Decides which Home Assistant entities may be read or controlled through the cloud relay.
+ *
+ * Configured from add-on options (exposure_include / exposure_exclude) or, taking
+ * precedence, from /data/royaframe_exposure.json:
+ *   { "include": ["light", "sensor.temp_*", "area:living_room"], "exclude": ["person"] }
+ *
+ * An entity is exposed when it matches an include selector (or include is empty)
+ * and matches no exclude selector. See entityMatch.js for the selector syntax.
+ */
+
+const fs = require('fs');
+const haWS = require('./haWebSocket');
+const registry = require('./registry');
+const { loadAddonOptions } = require('./options');
+const { splitEntityId, parseSelectors, matchesAny, toEntityIdList, extractServiceTargets } = require('./entityMatch');
+
+const EXPOSURE_POLICY_PATH = process.env.EXPOSURE_POLICY_PATH || '/data/royaframe_exposure.json';
+
+function loadPolicyFile() {
+    if (!fs.existsSync(EXPOSURE_POLICY_PATH)) return null;
+    try {
+        const data = JSON.parse(fs.readFileSync(EXPOSURE_POLICY_PATH, 'utf8'));
+        if (data && typeof data === 'object') return data;
+    } catch (err) {
+        console.error(`[exposure] Failed to parse exposure policy file: ${err.message}`);
+    }
+    return null;
+}
+
+class ExposurePolicy {
+    constructor() {
+        this.include = [];
+        this.exclude = [];
+        this.source = 'none';
+
+        this.load();
+    }
+
+    /**
+     * (Re)load the policy from the policy file or add-on options
+     */
+    load() {
+        const file = loadPolicyFile();
+        let config;
+        if (file) {
+            config = { include: file.include, exclude: file.exclude };
+            this.source = 'file';
+        } else {
+            const options = loadAddonOptions();
+            config = { include: options.exposure_include, exclude: options.exposure_exclude };
+            this.source = 'options';
+        }
+
+        this.include = parseSelectors(config.include);
+        this.exclude = parseSelectors(config.exclude);
+        if (!this.isActive()) this.source = 'none';
+
+        console.log(`[exposure] Policy loaded from ${this.source}: include=${this.include.length}, exclude=${this.exclude.length}`);
+    }
+
+    isActive() {
+        return this.include.length > 0 || this.exclude.length > 0;
+    }
+
+    usesAreas() {
+        return [...this.include, ...this.exclude].some(sel => sel.kind === 'area');
+    }
+
+    /**
+     * Check whether an entity may be sent to or controlled through the relay
+     */
+    isExposed(entityId) {
+        if (!this.isActive()) return true;
+        if (!entityId) return false;
+
+        // Fail closed until area assignments are known
+        if (this.usesAreas() && !registry.isLoaded()) return false;
+        const getAreas = (id) => registry.getAreaKeys(id);
+
+        if (this.include.length > 0 && !matchesAny(entityId, this.include, getAreas)) {
+            return false;
+        }
+        return !matchesAny(entityId, this.exclude, getAreas);
+    }
+
+    /**
+     * Drop non-exposed entities from a state list
+     */
+    filterStates(states) {
+        if (!Array.isArray(states)) return [];
+        if (!this.isActive()) return states;
+        return states.filter(s => this.isExposed(s.entity_id));
+    }
+
+    /**
+     * Check the targets of a service call.
+     * @returns {{ allowed: boolean, reason?: string }}
+     */
+    checkServiceTargets(serviceData, target) {
+        if (!this.isActive()) return { allowed: true };
+
+        const { entityIds, otherTargets } = extractServiceTargets(serviceData, target);
+
+        // Area/device/floor/label targets may expand to hidden entities
+        if (otherTargets.length > 0) {
+            return { allowed: false, reason: `Targeting by ${otherTargets.join(', ')} is not allowed by the exposure policy` };
+        }
+
+        for (const entityId of entityIds) {
+            if (entityId.toLowerCase() === 'all') {
+                return { allowed: false, reason: 'Targeting all entities is not allowed by the exposure policy' };
+            }
+            if (!this.isExposed(entityId)) {
+                return { allowed: false, reason: `Entity not exposed: ${entityId}` };
+            }
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Check an HA event or trigger payload: every entity it mentions must be exposed
+     */
+    isEventExposed(event) {
+        if (!this.isActive()) return true;
+        const data = event?.data || {};
+        const trigger = event?.variables?.trigger || {};
+        const entityIds = [
+            ...toEntityIdList(data.entity_id),
+            ...extractServiceTargets(data.service_data, data.target).entityIds,
+            ...toEntityIdList(trigger.entity_id),
+            ...toEntityIdList(trigger.event?.data?.entity_id)
+        ];
+        return entityIds.every(entityId => this.isExposed(entityId));
+    }
+
+    /**
+     * Check what a rendered template reads (render_template listeners: { all, domains, entities }).
+     * A domain listener counts as exposed only if every entity in that domain is.
+     */
+    isTemplateExposed(listeners) {
+        if (!this.isActive()) return true;
+        if (!listeners || listeners.all) return false;
+        for (const entityId of listeners.entities || []) {
+            if (!this.isExposed(entityId)) return false;
+        }
+        for (const domain of listeners.domains || []) {
+            if (!haWS.query({ entities: [domain] }).every(state => this.isExposed(state.entity_id))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Logbook entry as a remote viewer may see it: null for a hidden entity, and without its
+     * context_* fields (who or what caused it) when the context entity is hidden
+     */
+    filterLogbookEntry(entry) {
+        if (!this.isActive()) return entry;
+        if (!this.isExposed(entry.entity_id)) return null;
+        if (!entry.context_entity_id || this.isExposed(entry.context_entity_id)) return entry;
+        const filtered = {};
+        for (const [key, value] of Object.entries(entry)) {
+            if (!key.startsWith('context_')) filtered[key] = value;
+        }
+        return filtered;
+    }
+
+    /**
+     * Drop the parts of a service response (keyed by entity_id) that belong to hidden entities
+     */
+    filterServiceResponse(response) {
+        if (!this.isActive() || !response || typeof response !== 'object' || Array.isArray(response)) {
+            return response;
+        }
+        const filtered = {};
+        for (const [key, value] of Object.entries(response)) {
+            if (splitEntityId(key).domain && !this.isExposed(key)) continue;
+            filtered[key] = value;
+        }
+        return filtered;
+    }
+
+    getStatus() {
+        return {
+            active: this.isActive(),
+            source: this.source,
+            include: this.include.map(sel => sel.kind === 'area' ? `area:${sel.value}` : sel.value),
+            exclude: this.exclude.map(sel => sel.kind === 'area' ? `area:${sel.value}` : sel.value),
+            areas_loaded: this.usesAreas() ? registry.isLoaded() : null
+        };
+    }
+}
+
+// Export singleton instance
+const exposurePolicy = new ExposurePolicy();
+module.exports = exposurePolicy;
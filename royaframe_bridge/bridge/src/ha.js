@@ -3,9 +3,23 @@
  * Communicates with HA via the Supervisor proxy
  */
 
+const { BridgeError, fromHTTPStatus } = require('./errors');
+
 // Supervisor provides the token via environment variable
 const SUPERVISOR_TOKEN = process.env.SUPERVISOR_TOKEN;
 const HA_API_BASE = 'http://supervisor/core/api';
+const HA_CORE_BASE = 'http://supervisor/core';
+
+/**
+ * fetch() that reports an unreachable Supervisor as ha_unavailable
+ */
+async function haFetch(url, options) {
+    try {
+        return await fetch(url, options);
+    } catch (err) {
+        throw new BridgeError('ha_unavailable', `Home Assistant unreachable: ${err.message}`);
+    }
+}
 
 /**
  * Make an authenticated request to the Home Assistant API
@@ -15,7 +29,7 @@ const HA_API_BASE = 'http://supervisor/core/api';
 async function haRequest(endpoint) {
     const url = `${HA_API_BASE}${endpoint}`;
 
-    const response = await fetch(url, {
+    const response = await haFetch(url, {
         method: 'GET',
         headers: {
             'Authorization': `Bearer ${SUPERVISOR_TOKEN}`,
@@ -24,7 +38,7 @@ async function haRequest(endpoint) {
     });
 
     if (!response.ok) {
-        throw new Error(`HA API error: ${response.status} ${response.statusText}`);
+        throw fromHTTPStatus(response.status, response.statusText);
     }
 
     return response.json();
@@ -44,6 +58,80 @@ async function getStates() {
     return haRequest('/states');
 }
 
+/**
+ * Get the service catalogue as { domain: { service: { name, description, fields, ... } } }
+ */
+async function getServices() {
+    const domains = await haRequest('/services');
+    return Object.fromEntries((domains || []).map(d => [d.domain, d.services]));
+}
+
+/**
+ * Get recorded state history for some entities (minimal_response: only the first and
+ * last state of each entity carry attributes)
+ * @param {string[]} entityIds
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<Array<Array<object>>>} One state list per entity
+ */
+async function getHistory(entityIds, startTime, endTime) {
+    const params = new URLSearchParams({
+        filter_entity_id: entityIds.join(','),
+        end_time: endTime.toISOString(),
+        minimal_response: ''
+    });
+    return haRequest(`/history/period/${encodeURIComponent(startTime.toISOString())}?${params}`);
+}
+
+/**
+ * Get logbook entries, optionally limited to some entities
+ * @param {string[]} entityIds - Empty for all entities
+ * @param {Date} startTime
+ * @param {Date} endTime
+ */
+async function getLogbook(entityIds, startTime, endTime) {
+    const params = new URLSearchParams({ end_time: endTime.toISOString() });
+    if (entityIds.length > 0) params.set('entity', entityIds.join(','));
+    return haRequest(`/logbook/${encodeURIComponent(startTime.toISOString())}?${params}`);
+}
+
+/**
+ * Fetch an image served by Home Assistant (camera_proxy, media_player_proxy, /local, ...)
+ * @param {string} path - Path on the HA server, e.g. '/api/camera_proxy/camera.door?width=640'
+ * @param {number} maxBytes - Reject larger images
+ * @returns {Promise<{ contentType: string, data: Buffer }>}
+ */
+async function getImage(path, maxBytes) {
+    const response = await haFetch(`${HA_CORE_BASE}${path}`, {
+        headers: { 'Authorization': `Bearer ${SUPERVISOR_TOKEN}` }
+    });
+
+    if (!response.ok) {
+        throw fromHTTPStatus(response.status, response.statusText);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!contentType.startsWith('image/')) {
+        throw new BridgeError('ha_error', `Not an image: ${contentType || 'unknown content type'}`);
+    }
+    const length = Number(response.headers.get('content-length'));
+    if (length > maxBytes) {
+        throw new BridgeError('limit_exceeded', `Image too large (${length} bytes, max ${maxBytes})`);
+    }
+
+    // Read with a byte limit: HA may stream the image without a content-length
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new BridgeError('limit_exceeded', `Image too large (over ${maxBytes} bytes)`);
+        }
+        chunks.push(chunk);
+    }
+    return { contentType, data: Buffer.concat(chunks, size) };
+}
+
 /**
  * Check if we can connect to Home Assistant
  */
@@ -59,5 +147,9 @@ async function checkConnection() {
 module.exports = {
     getConfig,
     getStates,
+    getServices,
+    getHistory,
+    getLogbook,
+    getImage,
     checkConnection
 };
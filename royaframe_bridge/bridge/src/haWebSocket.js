@@ -1,15 +1,95 @@
 /**
  * Home Assistant WebSocket Client
- * Maintains a persistent connection to HA, subscribes to state_changed events,
- * and provides methods to call services.
+ * Maintains a persistent connection to HA, subscribes to entity state changes,
+ * keeps an in-memory mirror of all entity states, and provides methods to call services.
+ *
+ * State changes use HA's compressed subscribe_entities protocol (HA 2022.4+), falling back
+ * to raw state_changed events on older versions. Either way listeners receive
+ * 'state_changed' with { entity_id, new_state, old_state } full state objects.
+ *
+ * Other events and triggers are available through subscribe(): identical subscriptions
+ * share one HA subscription, and all of them are re-established after a reconnect.
  */
 
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const { parseSelectors, matchesAny } = require('./entityMatch');
+const { BridgeError, fromHAError } = require('./errors');
 
 const SUPERVISOR_TOKEN = process.env.SUPERVISOR_TOKEN;
 const HA_WS_URL = 'ws://supervisor/core/api/websocket';
 
+// Subscriptions whose last event is replayed to listeners joining later
+// (HA renders a template once per subscription, not per listener)
+const REPLAY_LAST_EVENT = new Set(['render_template']);
+
+// Backoff for re-subscribing after a reconnect when HA rejects or times out the subscribe
+const RESUBSCRIBE_DELAY_MS = 1000;
+const MAX_RESUBSCRIBE_DELAY_MS = 60000;
+
+/**
+ * Convert a compressed-state timestamp (unix seconds, float) to ISO 8601
+ */
+function toIsoTime(ts) {
+    return new Date(ts * 1000).toISOString();
+}
+
+function expandContext(value, previous) {
+    if (typeof value === 'string') {
+        return { ...(previous || { parent_id: null, user_id: null }), id: value };
+    }
+    return { ...(previous || {}), ...value };
+}
+
+/**
+ * Rebuild a full state object from a subscribe_entities "a" (added) entry:
+ * { s: state, a: attributes, c: context, lc: last_changed, lu: last_updated, lr: last_reported }
+ */
+function expandCompressedState(entityId, compressed) {
+    const lastChanged = compressed.lc ?? compressed.lu;
+    const lastUpdated = compressed.lu ?? compressed.lc;
+    const now = Date.now() / 1000;
+    const state = {
+        entity_id: entityId,
+        state: compressed.s,
+        attributes: compressed.a || {},
+        last_changed: toIsoTime(lastChanged ?? now),
+        last_updated: toIsoTime(lastUpdated ?? now),
+        context: compressed.c !== undefined ? expandContext(compressed.c) : null
+    };
+    if (compressed.lr !== undefined) state.last_reported = toIsoTime(compressed.lr);
+    return state;
+}
+
+/**
+ * Apply a subscribe_entities "c" (changed) entry: { '+': {...changed}, '-': { a: [removed attribute keys] } }
+ * Returns a new state object; the previous one is left untouched.
+ */
+function applyCompressedDiff(previous, diff) {
+    const state = { ...previous, attributes: { ...(previous.attributes || {}) } };
+    const added = diff['+'];
+    const removed = diff['-'];
+
+    if (added) {
+        if (added.s !== undefined) state.state = added.s;
+        if (added.c !== undefined) state.context = expandContext(added.c, previous.context);
+        if (added.lc !== undefined) {
+            state.last_changed = toIsoTime(added.lc);
+            state.last_updated = state.last_changed;
+        } else if (added.lu !== undefined) {
+            state.last_updated = toIsoTime(added.lu);
+        }
+        if (added.lr !== undefined) state.last_reported = toIsoTime(added.lr);
+        if (added.a) Object.assign(state.attributes, added.a);
+    }
+    if (removed?.a) {
+        for (const key of removed.a) {
+            delete state.attributes[key];
+        }
+    }
+    return state;
+}
+
 class HAWebSocket extends EventEmitter {
     constructor() {
         super();
@@ -20,6 +100,20 @@ class HAWebSocket extends EventEmitter {
         this.reconnectDelay = 5000;
         this.reconnectTimer = null;
         this.subscriptionId = null;
+        this.subscriptionMode = null; // 'entities' (compressed) or 'events' (legacy)
+        this.awaitingInitialStates = false;
+
+        // Authoritative state mirror: entity_id -> state object
+        this.states = new Map();
+        this.statesReady = false;
+        this.statesLoadedOnce = false;
+
+        // Event/trigger/template subscriptions, keyed by the serialized HA subscribe message:
+        // key -> { key, message, haId, pending, retryTimer, lastEvent, listeners: Map<subscription id, listener> }
+        this.eventSubscriptions = new Map();
+        this.eventSubscriptionsByHaId = new Map(); // HA message id -> entry
+        this.eventListeners = new Map(); // subscription id -> entry
+        this.nextEventSubscriptionId = 1;
     }
 
     /**
@@ -52,6 +146,16 @@ class HAWebSocket extends EventEmitter {
             console.log(`[haWS] WebSocket closed: ${code} ${reason}`);
             this.authenticated = false;
             this.subscriptionId = null;
+            this.subscriptionMode = null;
+            this.awaitingInitialStates = false;
+            this.eventSubscriptionsByHaId.clear();
+            for (const entry of this.eventSubscriptions.values()) {
+                entry.haId = null;
+                clearTimeout(entry.retryTimer);
+                entry.retryTimer = null;
+            }
+            // Keep the last known states, but they are no longer authoritative
+            this.statesReady = false;
             this.emit('disconnected');
             this.scheduleReconnect();
         });
@@ -94,6 +198,7 @@ class HAWebSocket extends EventEmitter {
         if (msg.type === 'auth_ok') {
             console.log('[haWS] Authenticated successfully');
             this.authenticated = true;
+            this.resubscribeEvents();
             this.emit('connected');
             this.subscribeToStateChanges();
             return;
@@ -106,13 +211,19 @@ class HAWebSocket extends EventEmitter {
         }
 
         // Handle subscription events
-        if (msg.type === 'event' && msg.event?.event_type === 'state_changed') {
+        if (msg.type === 'event' && msg.id === this.subscriptionId && this.subscriptionMode === 'entities') {
+            this.handleEntitiesEvent(msg.event || {});
+            return;
+        }
+
+        if (msg.type === 'event' && this.eventSubscriptionsByHaId.has(msg.id)) {
+            this.dispatchEvent(this.eventSubscriptionsByHaId.get(msg.id), msg.event);
+            return;
+        }
+
+        if (msg.type === 'event' && msg.id === this.subscriptionId && msg.event?.event_type === 'state_changed') {
             const eventData = msg.event.data;
-            this.emit('state_changed', {
-                entity_id: eventData.entity_id,
-                new_state: eventData.new_state,
-                old_state: eventData.old_state
-            });
+            this.applyStateChange(eventData.entity_id, eventData.new_state, eventData.old_state);
             return;
         }
 
@@ -122,7 +233,7 @@ class HAWebSocket extends EventEmitter {
             this.pendingRequests.delete(msg.id);
 
             if (msg.success === false) {
-                reject(new Error(msg.error?.message || 'Unknown error'));
+                reject(fromHAError(msg.error));
             } else {
                 resolve(msg.result);
             }
@@ -141,9 +252,28 @@ class HAWebSocket extends EventEmitter {
     }
 
     /**
-     * Subscribe to state_changed events
+     * Subscribe to compressed entity updates.
+     * HA answers with a result, then an initial event holding every entity, then diffs.
      */
     subscribeToStateChanges() {
+        const { id, promise } = this.sendRequest({ type: 'subscribe_entities' });
+        this.subscriptionId = id;
+        this.subscriptionMode = 'entities';
+        this.awaitingInitialStates = true;
+
+        promise.then(() => {
+            console.log('[haWS] Subscribed to entity updates (subscribe_entities)');
+        }).catch((err) => {
+            if (!id || this.subscriptionId !== id) return;
+            console.warn(`[haWS] subscribe_entities unavailable (${err.message}), falling back to state_changed events`);
+            this.subscribeToStateEvents();
+        });
+    }
+
+    /**
+     * Legacy subscription for HA versions without subscribe_entities
+     */
+    subscribeToStateEvents() {
         const id = this.msgId++;
         this.send({
             id,
@@ -151,7 +281,109 @@ class HAWebSocket extends EventEmitter {
             event_type: 'state_changed'
         });
         this.subscriptionId = id;
+        this.subscriptionMode = 'events';
+        this.awaitingInitialStates = false;
         console.log('[haWS] Subscribed to state_changed events');
+        this.loadStates();
+    }
+
+    /**
+     * Handle a subscribe_entities event: a (added), c (changed), r (removed)
+     */
+    handleEntitiesEvent(event) {
+        if (this.awaitingInitialStates && event.a) {
+            // Initial event carries the complete state set
+            const states = new Map();
+            for (const [entityId, compressed] of Object.entries(event.a)) {
+                states.set(entityId, expandCompressedState(entityId, compressed));
+            }
+            this.awaitingInitialStates = false;
+            this.replaceStates(states);
+            return;
+        }
+
+        if (event.a) {
+            for (const [entityId, compressed] of Object.entries(event.a)) {
+                this.applyStateChange(entityId, expandCompressedState(entityId, compressed));
+            }
+        }
+
+        if (event.c) {
+            for (const [entityId, diff] of Object.entries(event.c)) {
+                const previous = this.states.get(entityId);
+                if (!previous) continue;
+                this.applyStateChange(entityId, applyCompressedDiff(previous, diff), previous);
+            }
+        }
+
+        if (event.r) {
+            for (const entityId of event.r) {
+                if (!this.states.has(entityId)) continue;
+                this.applyStateChange(entityId, null);
+            }
+        }
+    }
+
+    /**
+     * Update the mirror and notify listeners
+     */
+    applyStateChange(entityId, newState, oldState = this.states.get(entityId) || null) {
+        if (newState) {
+            this.states.set(entityId, newState);
+        } else {
+            this.states.delete(entityId);
+        }
+        this.emit('state_changed', {
+            entity_id: entityId,
+            new_state: newState,
+            old_state: oldState
+        });
+    }
+
+    /**
+     * Install a complete state set. After a reconnect, emits 'resynced' with what
+     * changed while the bridge was disconnected, in state_changed event shape.
+     */
+    replaceStates(states) {
+        const previous = this.states;
+        const isResync = this.statesLoadedOnce;
+        this.states = states;
+        this.statesReady = true;
+        this.statesLoadedOnce = true;
+        console.log(`[haWS] State mirror loaded with ${this.states.size} entities`);
+
+        if (isResync) {
+            const changes = [];
+            for (const [entityId, newState] of states) {
+                const oldState = previous.get(entityId) || null;
+                if (oldState && oldState.state === newState.state && oldState.last_updated === newState.last_updated) {
+                    continue;
+                }
+                changes.push({ entity_id: entityId, new_state: newState, old_state: oldState });
+            }
+            for (const [entityId, oldState] of previous) {
+                if (!states.has(entityId)) {
+                    changes.push({ entity_id: entityId, new_state: null, old_state: oldState });
+                }
+            }
+            console.log(`[haWS] Resynced after reconnect: ${changes.length} entities changed`);
+            this.emit('resynced', changes);
+        }
+
+        this.emit('states_loaded', this.states.size);
+    }
+
+    /**
+     * Seed the state mirror with a full get_states snapshot (legacy subscription only).
+     * Sent after subscribing so no change between the two is lost.
+     */
+    async loadStates() {
+        try {
+            const states = await this.request({ type: 'get_states' });
+            this.replaceStates(new Map((states || []).map(s => [s.entity_id, s])));
+        } catch (err) {
+            console.error('[haWS] Failed to load states:', err.message);
+        }
     }
 
     /**
@@ -167,13 +399,20 @@ class HAWebSocket extends EventEmitter {
      * Send a request and wait for response
      */
     request(msg) {
-        return new Promise((resolve, reject) => {
-            if (!this.authenticated || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-                reject(new Error('Not connected to Home Assistant'));
-                return;
-            }
+        return this.sendRequest(msg).promise;
+    }
+
+    /**
+     * Send a request, returning its message id along with the response promise.
+     * The id is null if the request could not be sent.
+     */
+    sendRequest(msg) {
+        if (!this.authenticated || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return { id: null, promise: Promise.reject(new BridgeError('ha_unavailable', 'Not connected to Home Assistant')) };
+        }
 
-            const id = this.msgId++;
+        const id = this.msgId++;
+        const promise = new Promise((resolve, reject) => {
             this.pendingRequests.set(id, { resolve, reject });
             this.send({ ...msg, id });
 
@@ -181,31 +420,237 @@ class HAWebSocket extends EventEmitter {
             setTimeout(() => {
                 if (this.pendingRequests.has(id)) {
                     this.pendingRequests.delete(id);
-                    reject(new Error('Request timeout'));
+                    reject(new BridgeError('timeout', 'Request timeout'));
                 }
             }, 30000);
         });
+        return { id, promise };
+    }
+
+    /**
+     * Subscribe to HA events or a trigger. Resolves once HA accepted the subscription.
+     * @param {object} message - HA subscribe message, e.g. { type: 'subscribe_events', event_type }
+     *   or { type: 'subscribe_trigger', trigger, variables }
+     * @param {function} listener - Called with each HA event payload
+     * @returns {Promise<number>} Subscription id for unsubscribe()
+     */
+    async subscribe(message, listener) {
+        if (!this.isConnected()) {
+            throw new BridgeError('ha_unavailable', 'Not connected to Home Assistant');
+        }
+
+        const key = JSON.stringify(message);
+        let entry = this.eventSubscriptions.get(key);
+        if (!entry) {
+            entry = { key, message, haId: null, pending: null, retryTimer: null, lastEvent: null, listeners: new Map() };
+            this.eventSubscriptions.set(key, entry);
+            entry.pending = this.sendEventSubscription(entry).catch((err) => {
+                if (entry.listeners.size === 0) this.eventSubscriptions.delete(key);
+                throw err;
+            });
+        } else if (entry.retryTimer) {
+            // Re-subscribe failed and is waiting to retry; a new listener retries now
+            this.resubscribe(entry);
+        }
+        await entry.pending;
+
+        const subscriptionId = this.nextEventSubscriptionId++;
+        entry.listeners.set(subscriptionId, listener);
+        this.eventListeners.set(subscriptionId, entry);
+        if (entry.lastEvent) {
+            // After the caller has seen the subscription id
+            const lastEvent = entry.lastEvent;
+            setImmediate(() => {
+                if (entry.listeners.get(subscriptionId) === listener) listener(lastEvent);
+            });
+        }
+        return subscriptionId;
+    }
+
+    /**
+     * Subscribe to one HA event type
+     */
+    subscribeEvents(eventType, listener) {
+        return this.subscribe({ type: 'subscribe_events', event_type: eventType }, listener);
+    }
+
+    /**
+     * Subscribe to an HA trigger (same syntax as automation triggers)
+     */
+    subscribeTrigger(trigger, variables, listener) {
+        const message = { type: 'subscribe_trigger', trigger };
+        if (variables) message.variables = variables;
+        return this.subscribe(message, listener);
+    }
+
+    /**
+     * Subscribe to a live template rendering; HA re-renders when the entities it reads change.
+     * Listeners receive { result, listeners } or, for render errors, { error, level }.
+     */
+    subscribeTemplate(template, variables, listener) {
+        const message = { type: 'render_template', template, report_errors: true };
+        if (variables) message.variables = variables;
+        return this.subscribe(message, listener);
+    }
+
+    /**
+     * Remove a subscription; the HA subscription is dropped with its last listener
+     * @returns {boolean} false if the id was unknown
+     */
+    unsubscribe(subscriptionId) {
+        const entry = this.eventListeners.get(subscriptionId);
+        if (!entry) return false;
+        this.eventListeners.delete(subscriptionId);
+        entry.listeners.delete(subscriptionId);
+
+        if (entry.listeners.size === 0) {
+            this.eventSubscriptions.delete(entry.key);
+            clearTimeout(entry.retryTimer);
+            entry.retryTimer = null;
+            if (entry.haId) {
+                this.eventSubscriptionsByHaId.delete(entry.haId);
+                this.request({ type: 'unsubscribe_events', subscription: entry.haId }).catch((err) => {
+                    console.warn(`[haWS] Failed to unsubscribe ${entry.message.type}: ${err.message}`);
+                });
+                entry.haId = null;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Send the HA subscribe message for an entry and track its message id
+     */
+    sendEventSubscription(entry) {
+        const { id, promise } = this.sendRequest(entry.message);
+        if (id) {
+            entry.haId = id;
+            this.eventSubscriptionsByHaId.set(id, entry);
+        }
+        return promise.catch((err) => {
+            if (id && entry.haId === id) {
+                this.eventSubscriptionsByHaId.delete(id);
+                entry.haId = null;
+            }
+            throw err;
+        });
+    }
+
+    /**
+     * Re-establish every event/trigger subscription after a reconnect
+     */
+    resubscribeEvents() {
+        if (this.eventSubscriptions.size === 0) return;
+        console.log(`[haWS] Re-subscribing ${this.eventSubscriptions.size} event subscriptions`);
+        for (const entry of this.eventSubscriptions.values()) {
+            if (entry.haId) continue;
+            this.resubscribe(entry);
+        }
+    }
+
+    /**
+     * Re-send one subscription, retrying with exponential backoff until HA accepts it,
+     * the last listener leaves or the connection drops (auth_ok re-subscribes everything)
+     */
+    resubscribe(entry, delay = RESUBSCRIBE_DELAY_MS) {
+        clearTimeout(entry.retryTimer);
+        entry.retryTimer = null;
+        entry.pending = this.sendEventSubscription(entry);
+        entry.pending.catch((err) => {
+            if (this.eventSubscriptions.get(entry.key) !== entry || !this.authenticated) return;
+            console.error(`[haWS] Failed to re-subscribe ${entry.key}: ${err.message}; retrying in ${delay / 1000}s`);
+            entry.retryTimer = setTimeout(() => {
+                entry.retryTimer = null;
+                if (this.eventSubscriptions.get(entry.key) !== entry || !this.authenticated || entry.haId) return;
+                this.resubscribe(entry, Math.min(delay * 2, MAX_RESUBSCRIBE_DELAY_MS));
+            }, delay);
+        });
+    }
+
+    dispatchEvent(entry, event) {
+        if (REPLAY_LAST_EVENT.has(entry.message.type)) entry.lastEvent = event;
+        for (const listener of entry.listeners.values()) {
+            try {
+                listener(event);
+            } catch (err) {
+                console.error('[haWS] Event listener failed:', err.message);
+            }
+        }
+    }
+
+    /**
+     * Event subscription counts for status endpoints
+     */
+    getEventSubscriptionStatus() {
+        return {
+            ha_subscriptions: this.eventSubscriptions.size,
+            listeners: this.eventListeners.size
+        };
     }
 
     /**
      * Call a Home Assistant service
+     * @param {object} [options]
+     * @param {boolean} [options.returnResponse] - Ask for the service response
+     *   (weather.get_forecasts, calendar.get_events, ...); HA then answers { context, response }
      */
-    async callService(domain, service, data = {}, target = {}) {
-        return this.request({
+    async callService(domain, service, data = {}, target = {}, options = {}) {
+        const msg = {
             type: 'call_service',
             domain,
             service,
             service_data: data,
             target
-        });
+        };
+        if (options.returnResponse) msg.return_response = true;
+        return this.request(msg);
+    }
+
+    /**
+     * Whether the state mirror reflects the current HA connection
+     */
+    hasStates() {
+        return this.statesReady;
+    }
+
+    /**
+     * Throw if the mirror cannot be served (HA disconnected or states not loaded yet)
+     */
+    assertStates() {
+        if (!this.statesReady) {
+            throw new BridgeError('ha_unavailable', 'Home Assistant states not available');
+        }
+    }
+
+    /**
+     * Get current state of an entity from the mirror
+     */
+    getState(entityId) {
+        return this.states.get(entityId) || null;
     }
 
     /**
-     * Get current state of an entity
+     * Get all entity states from the mirror
      */
-    async getState(entityId) {
-        const states = await this.request({ type: 'get_states' });
-        return states.find(s => s.entity_id === entityId);
+    getAllStates() {
+        return Array.from(this.states.values());
+    }
+
+    /**
+     * Query the mirror
+     * @param {object} filter
+     * @param {string[]} [filter.entities] - Entity IDs, domains or globs (see entityMatch.js)
+     * @param {function} [filter.predicate] - Extra test applied to each state object
+     */
+    query({ entities, predicate } = {}) {
+        const selectors = entities ? parseSelectors(entities) : null;
+        const result = [];
+        for (const state of this.states.values()) {
+            if (selectors && !matchesAny(state.entity_id, selectors)) continue;
+            if (predicate && !predicate(state)) continue;
+            result.push(state);
+        }
+        return result;
     }
 
     /**
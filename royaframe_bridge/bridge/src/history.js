@@ -0,0 +1,216 @@
+/**
+ * History and logbook queries.
+ * Fetches recorder data through the HA REST API and downsamples history to a requested
+ * number of points, so a 24-hour chart stays small enough to send over the relay.
+ *
+ * Query parameters (REST query string, /ws and relay message fields):
+ *   entity_id   - entity IDs (array or comma list); required for history
+ *   start_time  - ISO time, default end_time minus `hours`
+ *   end_time    - ISO time, default now
+ *   hours       - window length when start_time is omitted (default 24)
+ *   points      - history only: downsample each entity to at most this many points
+ *   limit       - logbook only: return the newest N entries (default 100)
+ */
+
+const ha = require('./ha');
+const { toEntityIdList } = require('./entityMatch');
+const { BridgeError } = require('./errors');
+
+const DEFAULT_HOURS = 24;
+const MAX_HOURS = 24 * 31;
+const MAX_POINTS = 1000;
+const DEFAULT_LOGBOOK_LIMIT = 100;
+const MAX_LOGBOOK_LIMIT = 1000;
+const NON_NUMERIC_IGNORED = new Set(['unknown', 'unavailable', '']);
+
+function parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new BridgeError('invalid_request', `Invalid ${name}: expected an ISO 8601 time`);
+    }
+    return date;
+}
+
+function parseCount(value, name, max) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > max) {
+        throw new BridgeError('invalid_request', `Invalid ${name}: expected an integer between 1 and ${max}`);
+    }
+    return n;
+}
+
+/**
+ * Validate query parameters. Throws with a client-facing message on bad input.
+ * @returns {{ entityIds: string[], start: Date, end: Date, points: number|null, limit: number }}
+ */
+function parseQuery(params = {}) {
+    const entityIds = toEntityIdList(params.entity_ids ?? params.entity_id);
+    const end = parseTime(params.end_time, 'end_time') || new Date();
+
+    let hours = DEFAULT_HOURS;
+    if (params.hours !== undefined && params.hours !== null && params.hours !== '') {
+        hours = Number(params.hours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_HOURS) {
+            throw new BridgeError('invalid_request', `Invalid hours: expected a number between 0 and ${MAX_HOURS}`);
+        }
+    }
+    const start = parseTime(params.start_time, 'start_time') || new Date(end.getTime() - hours * 3600 * 1000);
+    if (start >= end) {
+        throw new BridgeError('invalid_request', 'start_time must be before end_time');
+    }
+    if (end - start > MAX_HOURS * 3600 * 1000) {
+        throw new BridgeError('invalid_request', `Time range too long (max ${MAX_HOURS} hours)`);
+    }
+
+    return {
+        entityIds,
+        start,
+        end,
+        points: parseCount(params.points, 'points', MAX_POINTS),
+        limit: parseCount(params.limit, 'limit', MAX_LOGBOOK_LIMIT) || DEFAULT_LOGBOOK_LIMIT
+    };
+}
+
+function toNumber(state) {
+    if (typeof state !== 'string' || state === '') return null;
+    const n = Number(state);
+    return Number.isFinite(n) ? n : null;
+}
+
+function isNumericSeries(states) {
+    let numeric = 0;
+    for (const s of states) {
+        if (toNumber(s.state) !== null) numeric++;
+        else if (!NON_NUMERIC_IGNORED.has(s.state)) return false;
+    }
+    return numeric > 0;
+}
+
+/**
+ * Average numeric states into equal time buckets: { time, state (mean), min, max }.
+ * Buckets without numeric samples keep their last state (e.g. "unavailable").
+ */
+function downsampleNumeric(samples, start, end, points) {
+    const width = (end - start) / points;
+    const buckets = new Array(points);
+    for (const sample of samples) {
+        const index = Math.min(Math.floor((sample.time - start) / width), points - 1);
+        const bucket = buckets[index] || (buckets[index] = { sum: 0, count: 0, min: Infinity, max: -Infinity, last: null });
+        const value = toNumber(sample.state);
+        bucket.last = sample.state;
+        if (value === null) continue;
+        bucket.sum += value;
+        bucket.count++;
+        bucket.min = Math.min(bucket.min, value);
+        bucket.max = Math.max(bucket.max, value);
+    }
+
+    const result = [];
+    buckets.forEach((bucket, index) => {
+        if (!bucket) return;
+        const time = new Date(start.getTime() + index * width).toISOString();
+        if (bucket.count === 0) {
+            result.push({ time, state: bucket.last });
+            return;
+        }
+        const mean = Math.round((bucket.sum / bucket.count) * 1000) / 1000;
+        result.push({ time, state: mean, min: bucket.min, max: bucket.max });
+    });
+    return result;
+}
+
+/**
+ * Keep the last state change in each time bucket (on/off, modes, ...)
+ */
+function downsampleChanges(samples, start, end, points) {
+    const width = (end - start) / points;
+    const kept = new Map();
+    for (const sample of samples) {
+        const index = Math.min(Math.floor((sample.time - start) / width), points - 1);
+        kept.set(index, sample);
+    }
+    return [...kept.values()];
+}
+
+/**
+ * Turn one entity's HA state list into a compact series
+ */
+function buildSeries(states, start, end, points) {
+    const first = states[0] || {};
+    const numeric = isNumericSeries(states);
+
+    // HA reports the state at start_time with its original (earlier) timestamp
+    let samples = states.map(s => {
+        const time = new Date(s.last_changed || s.last_updated).getTime();
+        return { time: Number.isNaN(time) ? start.getTime() : Math.max(time, start.getTime()), state: s.state };
+    });
+    if (!numeric) {
+        samples = samples.filter((s, i) => i === 0 || s.state !== samples[i - 1].state);
+    }
+
+    let series;
+    if (points && samples.length > points) {
+        series = numeric
+            ? downsampleNumeric(samples, start, end, points)
+            : downsampleChanges(samples, start, end, points).map(s => ({ time: new Date(s.time).toISOString(), state: s.state }));
+    } else {
+        series = samples.map(s => ({
+            time: new Date(s.time).toISOString(),
+            state: numeric ? (toNumber(s.state) ?? s.state) : s.state
+        }));
+    }
+
+    return {
+        entity_id: first.entity_id,
+        friendly_name: first.attributes?.friendly_name || first.entity_id,
+        unit_of_measurement: first.attributes?.unit_of_measurement || null,
+        numeric,
+        samples: states.length,
+        states: series
+    };
+}
+
+/**
+ * State history for a parsed query
+ */
+async function getHistory(query) {
+    if (query.entityIds.length === 0) {
+        throw new BridgeError('invalid_request', 'entity_id is required');
+    }
+    const raw = await ha.getHistory(query.entityIds, query.start, query.end);
+    const entities = (raw || [])
+        .filter(states => Array.isArray(states) && states.length > 0)
+        .map(states => buildSeries(states, query.start, query.end, query.points));
+    return {
+        start_time: query.start.toISOString(),
+        end_time: query.end.toISOString(),
+        points: query.points,
+        entities
+    };
+}
+
+/**
+ * Logbook entries for a parsed query, newest `limit` entries in chronological order
+ * @param {object} query
+ * @param {function} [transform] - Applied to each entry; returns the entry to send, or null to drop it
+ */
+async function getLogbook(query, transform) {
+    const raw = await ha.getLogbook(query.entityIds, query.start, query.end);
+    let entries = Array.isArray(raw) ? raw : [];
+    if (transform) entries = entries.map(transform).filter(Boolean);
+    const total = entries.length;
+    return {
+        start_time: query.start.toISOString(),
+        end_time: query.end.toISOString(),
+        total,
+        entries: entries.slice(-query.limit)
+    };
+}
+
+module.exports = {
+    parseQuery,
+    getHistory,
+    getLogbook
+};
@@ -0,0 +1,66 @@
+/**
+ * Idempotency keys for service calls.
+ * A call_service carrying an idempotency_key runs once per key within the window. A
+ * duplicate (the app resending after the relay reconnected) gets the first call's result,
+ * or waits for it while it is still running. Failed calls are forgotten so they can be retried.
+ */
+
+const { BridgeError } = require('./errors');
+
+const WINDOW_MS = 5 * 60 * 1000;
+const MAX_KEYS = 1000;
+
+class IdempotencyCache {
+    constructor() {
+        // key -> { fingerprint, promise, expiresAt }, oldest first
+        this.entries = new Map();
+    }
+
+    /**
+     * Run fn once per key
+     * @param {string} key
+     * @param {string} fingerprint - Identifies the request; a key reused for another request is rejected
+     * @param {function} fn - () => Promise<result>
+     */
+    async run(key, fingerprint, fn) {
+        this.prune();
+
+        const existing = this.entries.get(key);
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                throw new BridgeError('invalid_request', 'idempotency_key was already used for a different request');
+            }
+            console.log(`[idempotency] Duplicate request ${key}, returning the first result`);
+            return existing.promise;
+        }
+
+        const entry = { fingerprint, expiresAt: Date.now() + WINDOW_MS, promise: null };
+        entry.promise = Promise.resolve().then(fn);
+        this.entries.set(key, entry);
+        try {
+            return await entry.promise;
+        } catch (err) {
+            if (this.entries.get(key) === entry) this.entries.delete(key);
+            throw err;
+        }
+    }
+
+    /**
+     * Drop expired keys, and the oldest ones beyond MAX_KEYS
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt > now && this.entries.size < MAX_KEYS) break;
+            this.entries.delete(key);
+        }
+    }
+
+    getSize() {
+        return this.entries.size;
+    }
+}
+
+// Export singleton instance
+const idempotency = new IdempotencyCache();
+module.exports = idempotency;
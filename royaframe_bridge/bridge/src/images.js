@@ -0,0 +1,213 @@
+/**
+ * Image Proxy
+ * Fetches camera snapshots and entity_picture images (media player artwork, person
+ * pictures, image entities) through the Supervisor API for viewers that cannot reach HA.
+ *
+ * Relative entity_picture URLs in relayed states are rewritten to a bridge reference,
+ *   bridge://image/<entity_id>?v=<hash of the original URL>
+ * which the viewer resolves with get_image. Cameras are resized by HA (camera_proxy
+ * width/height); other pictures are decoded and scaled here (jimp, JPEG/PNG/BMP only; other
+ * formats are sent as stored). Images over MAX_SEND_BYTES are scaled down to fit
+ * MAX_SEND_DIMENSION even when no size was asked for. Results are cached briefly.
+ */
+
+const crypto = require('crypto');
+const { Jimp } = require('jimp');
+const ha = require('./ha');
+const haWS = require('./haWebSocket');
+const { splitEntityId } = require('./entityMatch');
+const { BridgeError } = require('./errors');
+
+const IMAGE_REF_PREFIX = 'bridge://image/';
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_DIMENSION = 4096;
+const MAX_SEND_BYTES = 512 * 1024;
+const MAX_SEND_DIMENSION = 1280;
+const JPEG_QUALITY = 80;
+// Formats jimp can decode and re-encode (GIF would lose its animation)
+const RESIZABLE_TYPES = new Set(['image/jpeg', 'image/png', 'image/bmp']);
+const MAX_CACHE_BYTES = 20 * 1024 * 1024;
+const CAMERA_CACHE_TTL_MS = 10 * 1000;
+const PICTURE_CACHE_TTL_MS = 10 * 60 * 1000;
+// Raw bytes per chunk; base64 frames are a third larger
+const CHUNK_BYTES = 48 * 1024;
+
+function parseDimension(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_DIMENSION) {
+        throw new BridgeError('invalid_request', `Invalid ${name}: expected an integer between 1 and ${MAX_DIMENSION}`);
+    }
+    return n;
+}
+
+class ImageProxy {
+    constructor() {
+        // key -> { contentType, data, resized, expiresAt }, oldest first
+        this.cache = new Map();
+        this.cacheBytes = 0;
+    }
+
+    /**
+     * Bridge reference for an entity_picture, or null if the picture is not served by HA
+     */
+    toRef(entityId, picture) {
+        if (typeof picture !== 'string' || !picture.startsWith('/')) return null;
+        const version = crypto.createHash('sha1').update(picture).digest('hex').slice(0, 8);
+        return `${IMAGE_REF_PREFIX}${entityId}?v=${version}`;
+    }
+
+    /**
+     * Entity id from a bridge reference
+     */
+    parseRef(ref) {
+        if (typeof ref !== 'string' || !ref.startsWith(IMAGE_REF_PREFIX)) return null;
+        return ref.slice(IMAGE_REF_PREFIX.length).split('?')[0] || null;
+    }
+
+    /**
+     * Replace a relative entity_picture with a bridge reference (returns a new object if changed)
+     */
+    rewriteAttributes(entityId, attributes) {
+        const ref = this.toRef(entityId, attributes?.entity_picture);
+        if (!ref) return attributes;
+        return { ...attributes, entity_picture: ref };
+    }
+
+    /**
+     * Where HA serves the image for an entity
+     */
+    resolveSource(entityId) {
+        const state = haWS.getState(entityId);
+        if (!state) {
+            // Not loaded yet is not the same as unknown
+            haWS.assertStates();
+            throw new BridgeError('not_found', `Unknown entity: ${entityId}`);
+        }
+        if (splitEntityId(entityId).domain === 'camera') {
+            return { path: `/api/camera_proxy/${entityId}`, camera: true };
+        }
+        const picture = state.attributes?.entity_picture;
+        if (typeof picture === 'string' && picture.startsWith('/')) {
+            return { path: picture, camera: false };
+        }
+        throw new BridgeError('not_found', `No image available for ${entityId}`);
+    }
+
+    /**
+     * Fetch an entity's image, from cache when fresh
+     * @param {string} entityId
+     * @param {object} [size] - { width, height }: bounding box the image is scaled down to fit
+     * @returns {Promise<{ entity_id, content_type, data: Buffer, resized: boolean, cached: boolean }>}
+     */
+    async getImage(entityId, { width, height } = {}) {
+        width = parseDimension(width, 'width');
+        height = parseDimension(height, 'height');
+        const source = this.resolveSource(entityId);
+
+        const key = `${source.path}#${width || ''}x${height || ''}`;
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return { entity_id: entityId, content_type: cached.contentType, data: cached.data, resized: cached.resized, cached: true };
+        }
+
+        const image = source.camera
+            ? await this.getCameraImage(source.path, width, height)
+            : await this.fit(await ha.getImage(source.path, MAX_IMAGE_BYTES), width, height);
+        this.store(key, {
+            ...image,
+            expiresAt: Date.now() + (source.camera ? CAMERA_CACHE_TTL_MS : PICTURE_CACHE_TTL_MS)
+        });
+        return { entity_id: entityId, content_type: image.contentType, data: image.data, resized: image.resized, cached: false };
+    }
+
+    /**
+     * Camera snapshot scaled by HA; an oversized full snapshot is fetched again at MAX_SEND_DIMENSION
+     */
+    async getCameraImage(path, width, height) {
+        if (!width && !height) {
+            const image = await ha.getImage(path, MAX_IMAGE_BYTES);
+            if (image.data.length <= MAX_SEND_BYTES) return { ...image, resized: false };
+            width = MAX_SEND_DIMENSION;
+            height = MAX_SEND_DIMENSION;
+        }
+        const params = new URLSearchParams();
+        if (width) params.set('width', width);
+        if (height) params.set('height', height);
+        return { ...await ha.getImage(`${path}?${params}`, MAX_IMAGE_BYTES), resized: true };
+    }
+
+    /**
+     * Scale an image down to fit width x height, or MAX_SEND_DIMENSION if it is over
+     * MAX_SEND_BYTES. Images that already fit, or cannot be decoded, are returned as they are.
+     * @param {{ contentType: string, data: Buffer }} image
+     * @returns {Promise<{ contentType: string, data: Buffer, resized: boolean }>}
+     */
+    async fit(image, width, height) {
+        const asStored = { ...image, resized: false };
+        if (!width && !height) {
+            if (image.data.length <= MAX_SEND_BYTES) return asStored;
+            width = MAX_SEND_DIMENSION;
+            height = MAX_SEND_DIMENSION;
+        }
+        if (!RESIZABLE_TYPES.has(image.contentType)) return asStored;
+
+        let decoded;
+        try {
+            decoded = await Jimp.read(image.data);
+        } catch (err) {
+            console.warn(`[images] Cannot decode ${image.contentType} image, sending it as stored: ${err.message}`);
+            return asStored;
+        }
+        const w = width || MAX_DIMENSION;
+        const h = height || MAX_DIMENSION;
+        if (decoded.width <= w && decoded.height <= h) return asStored;
+
+        decoded.scaleToFit({ w, h });
+        // PNG keeps transparency; everything else becomes JPEG
+        const contentType = image.contentType === 'image/png' ? 'image/png' : 'image/jpeg';
+        const data = contentType === 'image/png'
+            ? await decoded.getBuffer('image/png')
+            : await decoded.getBuffer('image/jpeg', { quality: JPEG_QUALITY });
+        return { contentType, data, resized: true };
+    }
+
+    store(key, entry) {
+        this.evict(key);
+        this.cache.set(key, entry);
+        this.cacheBytes += entry.data.length;
+        for (const oldest of this.cache.keys()) {
+            if (this.cacheBytes <= MAX_CACHE_BYTES) break;
+            this.evict(oldest);
+        }
+    }
+
+    evict(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return;
+        this.cacheBytes -= entry.data.length;
+        this.cache.delete(key);
+    }
+
+    /**
+     * Split image data into base64 chunks for JSON frames
+     */
+    toChunks(data) {
+        const chunks = [];
+        for (let offset = 0; offset < data.length; offset += CHUNK_BYTES) {
+            chunks.push(data.subarray(offset, offset + CHUNK_BYTES).toString('base64'));
+        }
+        return chunks;
+    }
+
+    getStatus() {
+        return {
+            cached_images: this.cache.size,
+            cache_bytes: this.cacheBytes
+        };
+    }
+}
+
+// Export singleton instance
+const imageProxy = new ImageProxy();
+module.exports = imageProxy;
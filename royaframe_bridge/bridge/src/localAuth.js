@@ -0,0 +1,336 @@
+/**
+ * Authentication for direct access to the local API (/ws, REST, /events).
+ * Requests through Home Assistant Ingress are trusted: HA has already authenticated the
+ * user, and Ingress traffic arrives from the Supervisor's proxy address. Anything else must
+ * send one of:
+ *   Authorization: Bearer <bridge API key>      keys issued in the add-on UI (rfb_...)
+ *   Authorization: Bearer <HA access token>     checked against Home Assistant's API
+ *   Authorization: Basic <HA username:password> checked with the Supervisor auth API
+ * Clients that cannot set headers (browser WebSocket, EventSource) pass the key or token
+ * as ?access_token=. Addresses that send too many wrong passwords are locked out for a while.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BridgeError } = require('./errors');
+
+const API_KEYS_PATH = process.env.API_KEYS_PATH || '/data/royaframe_api_keys.json';
+// Where HA tokens are checked. The Supervisor proxy only accepts the add-on's own token, so
+// HA's address is looked up with the Supervisor API (core/info) unless set here.
+const HA_DIRECT_URL = process.env.HA_DIRECT_URL || null;
+const SUPERVISOR_CORE_INFO_URL = 'http://supervisor/core/info';
+const SUPERVISOR_AUTH_URL = 'http://supervisor/auth';
+const SUPERVISOR_TOKEN = process.env.SUPERVISOR_TOKEN;
+
+// Source address of Ingress requests (the Supervisor's proxy)
+const INGRESS_ADDRESSES = new Set(['172.30.32.2']);
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1']);
+
+const KEY_PREFIX = 'rfb_';
+const MAX_KEYS = 20;
+// Remember checked HA credentials, so each request does not ask HA again
+const VALID_CACHE_MS = 5 * 60 * 1000;
+const INVALID_CACHE_MS = 30 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+const CHECK_TIMEOUT_MS = 5000;
+// Wrong Basic auth passwords allowed per address within the window, then a lockout
+const MAX_PASSWORD_FAILURES = 5;
+const PASSWORD_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const PASSWORD_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_TRACKED_ADDRESSES = 500;
+// last_used_at is written to disk at most this often per key
+const LAST_USED_SAVE_MS = 60 * 1000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function normalizeAddress(address) {
+    return (address || '').replace(/^::ffff:/, '');
+}
+
+class LocalAuth {
+    constructor(storagePath = API_KEYS_PATH) {
+        this.storagePath = storagePath;
+        // { id, name, hash, hint, created_at, last_used_at }
+        this.keys = [];
+        // sha256(credential) -> { result, expiresAt }
+        this.cache = new Map();
+        // address -> { failures, windowStart, lockedUntil } for Basic auth
+        this.passwordFailures = new Map();
+        // HA base URL from the Supervisor, once looked up
+        this.haUrl = HA_DIRECT_URL;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.storagePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+            this.keys = Array.isArray(data.keys) ? data.keys.filter(k => k.id && k.hash) : [];
+            console.log(`[auth] ${this.keys.length} API keys loaded`);
+        } catch (err) {
+            console.error(`[auth] Failed to parse API key file: ${err.message}`);
+        }
+    }
+
+    save() {
+        const dir = path.dirname(this.storagePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.storagePath, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * Whether a request came through Ingress (or from inside the container)
+     */
+    isTrusted(req) {
+        const address = this.clientAddress(req);
+        return INGRESS_ADDRESSES.has(address) || LOOPBACK_ADDRESSES.has(address);
+    }
+
+    /**
+     * Remote address of a request (IPv4-mapped IPv6 addresses unwrapped)
+     */
+    clientAddress(req) {
+        return normalizeAddress(req.socket.remoteAddress);
+    }
+
+    /**
+     * Authenticate a request
+     * @param {http.IncomingMessage} req
+     * @param {URL} url
+     * @returns {Promise<{ via: string, name?: string }>} How the request was authenticated
+     * @throws {BridgeError} unauthorized
+     */
+    async authenticate(req, url) {
+        if (this.isTrusted(req)) return { via: 'ingress' };
+
+        const header = req.headers.authorization || '';
+        const [scheme, credential] = header.split(' ', 2);
+        let token = null;
+        if (/^bearer$/i.test(scheme) && credential) token = credential.trim();
+        else if (!header) token = url.searchParams.get('access_token');
+
+        if (/^basic$/i.test(scheme) && credential) {
+            return this.checkBasic(this.clientAddress(req), credential);
+        }
+        if (!token) {
+            throw new BridgeError('unauthorized', 'Authentication required: send an API key or Home Assistant token');
+        }
+        if (token.startsWith(KEY_PREFIX)) {
+            return this.checkApiKey(token);
+        }
+        return this.checkCached(`token:${token}`, () => this.checkHAToken(token));
+    }
+
+    checkApiKey(token) {
+        const hash = Buffer.from(sha256(token), 'hex');
+        const key = this.keys.find(k => {
+            const stored = Buffer.from(k.hash, 'hex');
+            return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+        });
+        if (!key) {
+            throw new BridgeError('unauthorized', 'Unknown API key');
+        }
+        const now = new Date();
+        const lastSaved = key.last_used_at ? Date.parse(key.last_used_at) : 0;
+        key.last_used_at = now.toISOString();
+        if (now - lastSaved >= LAST_USED_SAVE_MS) {
+            try {
+                this.save();
+            } catch (err) {
+                console.error(`[auth] Failed to save API key usage: ${err.message}`);
+            }
+        }
+        return { via: 'api_key', name: key.name };
+    }
+
+    /**
+     * Check Basic credentials, locking out addresses that send too many wrong passwords
+     */
+    async checkBasic(address, credential) {
+        const now = Date.now();
+        const entry = this.passwordFailures.get(address);
+        if (entry && entry.lockedUntil > now) {
+            const retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+            throw new BridgeError('limit_exceeded', 'Too many wrong passwords; retry later', { retry_after: retryAfter });
+        }
+        try {
+            const result = await this.checkCached(`basic:${credential}`, () => this.checkPassword(credential));
+            this.passwordFailures.delete(address);
+            return result;
+        } catch (err) {
+            if (err.code === 'unauthorized') this.recordPasswordFailure(address, now);
+            throw err;
+        }
+    }
+
+    recordPasswordFailure(address, now) {
+        let entry = this.passwordFailures.get(address);
+        if (!entry || now - entry.windowStart > PASSWORD_FAILURE_WINDOW_MS) {
+            entry = { failures: 0, windowStart: now, lockedUntil: 0 };
+        }
+        entry.failures++;
+        if (entry.failures >= MAX_PASSWORD_FAILURES) {
+            entry.lockedUntil = now + PASSWORD_LOCKOUT_MS;
+            console.warn(`[auth] Too many wrong passwords from ${address}, locked for ${PASSWORD_LOCKOUT_MS / 1000}s`);
+        }
+        this.passwordFailures.delete(address);
+        if (this.passwordFailures.size >= MAX_TRACKED_ADDRESSES) {
+            this.passwordFailures.delete(this.passwordFailures.keys().next().value);
+        }
+        this.passwordFailures.set(address, entry);
+    }
+
+    /**
+     * Run a credential check at most once per cache period
+     */
+    async checkCached(credential, check) {
+        const now = Date.now();
+        const cacheKey = sha256(credential);
+        const cached = this.cache.get(cacheKey);
+        if (cached && cached.expiresAt > now) {
+            if (cached.result) return cached.result;
+            throw new BridgeError('unauthorized', 'Invalid credentials');
+        }
+
+        const result = await check();
+        if (this.cache.size >= MAX_CACHE_ENTRIES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(cacheKey, {
+            result,
+            expiresAt: now + (result ? VALID_CACHE_MS : INVALID_CACHE_MS)
+        });
+        if (!result) {
+            console.warn('[auth] Rejected direct request: invalid credentials');
+            throw new BridgeError('unauthorized', 'Invalid credentials');
+        }
+        return result;
+    }
+
+    /**
+     * Base URL of Home Assistant itself, from the Supervisor (core/info) unless HA_DIRECT_URL is set
+     */
+    async getHAUrl() {
+        if (this.haUrl) return this.haUrl;
+        let response;
+        try {
+            response = await fetch(SUPERVISOR_CORE_INFO_URL, {
+                headers: { 'Authorization': `Bearer ${SUPERVISOR_TOKEN}` },
+                signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+            });
+        } catch (err) {
+            throw new BridgeError('ha_unavailable', `Could not reach the Supervisor API: ${err.message}`);
+        }
+        if (!response.ok) {
+            throw new BridgeError('ha_error', `Supervisor core/info answered with ${response.status}`);
+        }
+        const { data } = await response.json();
+        if (!data?.ip_address || !data.port) {
+            throw new BridgeError('ha_error', 'Supervisor core/info did not report the Home Assistant address');
+        }
+        this.haUrl = `${data.ssl ? 'https' : 'http'}://${data.ip_address}:${data.port}`;
+        console.log(`[auth] Checking Home Assistant tokens against ${this.haUrl}`);
+        return this.haUrl;
+    }
+
+    /**
+     * Check an HA access token against Home Assistant's API. Resolves null if HA rejects it.
+     */
+    async checkHAToken(token) {
+        const haUrl = await this.getHAUrl();
+        let response;
+        try {
+            response = await fetch(`${haUrl}/api/`, {
+                headers: { 'Authorization': `Bearer ${token}` },
+                signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+            });
+        } catch (err) {
+            throw new BridgeError('ha_unavailable', `Could not check the token with Home Assistant: ${err.message}`);
+        }
+        if (response.status === 401 || response.status === 403) return null;
+        if (!response.ok) {
+            throw new BridgeError('ha_error', `Home Assistant answered the token check with ${response.status}`);
+        }
+        return { via: 'ha_token' };
+    }
+
+    /**
+     * Check HTTP Basic credentials (HA username and password) with the Supervisor auth API
+     */
+    async checkPassword(credential) {
+        const decoded = Buffer.from(credential, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator <= 0) return null;
+        const username = decoded.slice(0, separator);
+        const password = decoded.slice(separator + 1);
+
+        let response;
+        try {
+            response = await fetch(SUPERVISOR_AUTH_URL, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${SUPERVISOR_TOKEN}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ username, password }),
+                signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+            });
+        } catch (err) {
+            throw new BridgeError('ha_unavailable', `Could not reach the Supervisor auth API: ${err.message}`);
+        }
+        if (response.status === 401 || response.status === 403) return null;
+        if (!response.ok) {
+            throw new BridgeError('ha_error', `Supervisor auth API answered with ${response.status}`);
+        }
+        return { via: 'ha_user', name: username };
+    }
+
+    /**
+     * Issue an API key. The key itself is only returned here; the bridge stores its hash.
+     */
+    createKey(name) {
+        if (this.keys.length >= MAX_KEYS) {
+            throw new BridgeError('limit_exceeded', `Too many API keys (max ${MAX_KEYS})`);
+        }
+        const token = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const key = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name: (name || '').trim() || 'API key',
+            hash: sha256(token),
+            hint: `${token.slice(0, KEY_PREFIX.length + 4)}…`,
+            created_at: new Date().toISOString(),
+            last_used_at: null
+        };
+        this.keys.push(key);
+        this.save();
+        console.log(`[auth] API key ${key.id} (${key.name}) created`);
+        return { ...this.toPublic(key), key: token };
+    }
+
+    revokeKey(id) {
+        const index = this.keys.findIndex(k => k.id === id);
+        if (index === -1) return false;
+        const [key] = this.keys.splice(index, 1);
+        this.save();
+        console.log(`[auth] API key ${key.id} (${key.name}) revoked`);
+        return true;
+    }
+
+    toPublic(key) {
+        const { hash, ...rest } = key;
+        return rest;
+    }
+
+    getKeys() {
+        return this.keys.map(k => this.toPublic(k));
+    }
+}
+
+// Export singleton instance
+const localAuth = new LocalAuth();
+module.exports = localAuth;
@@ -0,0 +1,111 @@
+/**
+ * OpenAPI description generated from the router's route declarations.
+ * Route options used here: summary, query ({ name: schema }), body (JSON Schema),
+ * contentType (default application/json), errors ({ status: description }) for responses
+ * beyond the router's own 400/404/405.
+ */
+
+const { CODES } = require('./errors');
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: Object.keys(CODES) }
+    },
+    required: ['error']
+};
+
+// Direct access outside Ingress (localAuth.js); ?access_token= is accepted as well
+const SECURITY_SCHEMES = {
+    bearerAuth: { type: 'http', scheme: 'bearer', description: 'Bridge API key (rfb_...) or Home Assistant access token' },
+    basicAuth: { type: 'http', scheme: 'basic', description: 'Home Assistant username and password' }
+};
+
+function errorResponse(description) {
+    return {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+/**
+ * OpenAPI operation for one route
+ */
+function toOperation(route) {
+    const parameters = [
+        ...route.names.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+        ...Object.entries(route.query || {}).map(([name, { description, required, ...schema }]) => ({
+            name,
+            in: 'query',
+            required: !!required,
+            ...(description ? { description } : {}),
+            schema
+        }))
+    ];
+
+    const responses = {
+        200: {
+            description: 'Success',
+            content: { [route.contentType || 'application/json']: { schema: route.response || { type: route.contentType ? 'string' : 'object' } } }
+        }
+    };
+    if (route.body || route.query) responses[400] = errorResponse('Invalid request');
+    if (route.names.length > 0) responses[404] = errorResponse('Not found');
+    for (const [status, description] of Object.entries(route.errors || {})) {
+        responses[status] = errorResponse(description);
+    }
+    responses[500] = errorResponse('Internal error');
+    responses[502] = errorResponse('Home Assistant request failed (ha_error)');
+    responses[503] = errorResponse('Home Assistant unavailable (ha_unavailable)');
+    responses[504] = errorResponse('Home Assistant timed out (timeout)');
+
+    const operation = {
+        operationId: `${route.method.toLowerCase()}${route.path.replace(/[/:_.-]+(\w)/g, (_, c) => c.toUpperCase())}`,
+        summary: route.summary,
+        tags: [route.path.split('/')[1]],
+        responses
+    };
+    if (parameters.length > 0) operation.parameters = parameters;
+    if (route.body) {
+        operation.requestBody = {
+            required: (route.body.required || []).length > 0,
+            content: { 'application/json': { schema: route.body } }
+        };
+    }
+    return operation;
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Router} router
+ * @param {object} info - { title, version, description }
+ */
+function buildOpenApi(router, info) {
+    const paths = {};
+    for (const route of router.routes) {
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+        const operation = toOperation(route);
+        if (router.isApiPath(route.path)) {
+            operation.responses[401] = errorResponse('Direct access without valid credentials');
+        } else {
+            operation.security = [];
+        }
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = operation;
+    }
+    return {
+        openapi: '3.1.0',
+        info,
+        // Relative, so it works behind Ingress
+        servers: [{ url: '.' }],
+        paths,
+        // Not needed through Home Assistant Ingress
+        security: [{ bearerAuth: [] }, { basicAuth: [] }],
+        components: { schemas: { Error: ERROR_SCHEMA }, securitySchemes: SECURITY_SCHEMES }
+    };
+}
+
+module.exports = {
+    buildOpenApi
+};
@@ -0,0 +1,26 @@
+/**
+ * Add-on options
+ * Home Assistant writes the add-on configuration (config.yaml `options`) to /data/options.json.
+ */
+
+const fs = require('fs');
+
+const OPTIONS_PATH = process.env.ADDON_OPTIONS_PATH || '/data/options.json';
+
+/**
+ * Read add-on options. Returns an empty object when the file is missing or invalid.
+ */
+function loadAddonOptions() {
+    if (!fs.existsSync(OPTIONS_PATH)) return {};
+    try {
+        const data = JSON.parse(fs.readFileSync(OPTIONS_PATH, 'utf8'));
+        return data && typeof data === 'object' ? data : {};
+    } catch (err) {
+        console.error(`[options] Failed to parse add-on options: ${err.message}`);
+        return {};
+    }
+}
+
+module.exports = {
+    loadAddonOptions
+};
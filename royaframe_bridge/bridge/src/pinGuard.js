@@ -0,0 +1,230 @@
+/**
+ * PIN confirmation for sensitive remote actions.
+ * Stores a salted scrypt hash of the PIN in /data next to the agent identity,
+ * verifies PINs sent with remote commands and locks out after repeated failures.
+ * Failures and lockouts are counted per client (relay viewer, /ws or HTTP address) and
+ * kept in the same file, so a restart does not reset them. Relay viewer IDs are chosen by
+ * the viewer, so the connection they arrive on also has a (larger) failure budget.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PIN_STORAGE_PATH = process.env.PIN_STORAGE_PATH || '/data/royaframe_pin.json';
+const PIN_FORMAT = 'scrypt-v1';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 32;
+
+const MIN_ATTEMPT_INTERVAL_MS = 1000;
+const MAX_FAILURES = 5;
+// Failures allowed per connection across all of its clients before it is locked out
+const MAX_CONNECTION_FAILURES = 20;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// Clients tracked at once; beyond this the oldest ones that are not locked out are dropped
+const MAX_CLIENTS = 500;
+
+function normalizePin(input) {
+    if (input === undefined || input === null) return null;
+    const pin = String(input).trim();
+    if (!/^[0-9]{4,12}$/.test(pin)) return null;
+    return pin;
+}
+
+function hashPin(pin, salt) {
+    return scrypt(pin, salt, KEY_LENGTH);
+}
+
+class PinGuard {
+    constructor(storagePath = PIN_STORAGE_PATH) {
+        this.storagePath = storagePath;
+        this.salt = null;    // base64
+        this.hash = null;    // base64
+        this.updatedAt = null;
+
+        // client -> { failures, lockouts, locked_until, last_attempt_at }, oldest first
+        this.clients = new Map();
+
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.storagePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+            if (data.format === PIN_FORMAT && data.salt && data.hash) {
+                this.salt = data.salt;
+                this.hash = data.hash;
+                this.updatedAt = data.updated_at || null;
+            }
+            if (data.clients && typeof data.clients === 'object') {
+                this.clients = new Map(Object.entries(data.clients));
+            }
+        } catch (err) {
+            console.error(`[pin] Failed to parse PIN file: ${err.message}`);
+        }
+    }
+
+    save() {
+        const dir = path.dirname(this.storagePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const payload = {
+            format: PIN_FORMAT,
+            salt: this.salt,
+            hash: this.hash,
+            updated_at: this.updatedAt,
+            clients: Object.fromEntries(this.clients)
+        };
+        fs.writeFileSync(this.storagePath, JSON.stringify(payload, null, 2), { mode: 0o600 });
+    }
+
+    isConfigured() {
+        return !!(this.salt && this.hash);
+    }
+
+    /**
+     * Set a new PIN (4-12 digits). Resolves false if the PIN is invalid.
+     */
+    async setPin(input) {
+        const pin = normalizePin(input);
+        if (!pin) return false;
+        const salt = crypto.randomBytes(SALT_BYTES);
+        const hash = await hashPin(pin, salt);
+        this.salt = salt.toString('base64');
+        this.hash = hash.toString('base64');
+        this.updatedAt = new Date().toISOString();
+        this.clients.clear();
+        this.save();
+        console.log('[pin] PIN updated');
+        return true;
+    }
+
+    clearPin() {
+        this.salt = null;
+        this.hash = null;
+        this.updatedAt = null;
+        this.clients.clear();
+        if (fs.existsSync(this.storagePath)) {
+            fs.unlinkSync(this.storagePath);
+        }
+        console.log('[pin] PIN cleared');
+    }
+
+    /**
+     * Attempt state of a client, created on first use (most recently used last)
+     */
+    getClient(client, now) {
+        this.prune(now);
+        let state = this.clients.get(client);
+        if (state) {
+            this.clients.delete(client);
+        } else {
+            state = { failures: 0, lockouts: 0, locked_until: 0, last_attempt_at: 0 };
+        }
+        this.clients.set(client, state);
+        return state;
+    }
+
+    /**
+     * Forget clients whose last lockout ended over LOCKOUT_MAX_MS ago, and the oldest beyond
+     * MAX_CLIENTS. Clients that are locked out are never dropped.
+     */
+    prune(now) {
+        for (const [client, state] of this.clients) {
+            if (state.locked_until > now) continue;
+            const idle = state.failures === 0 && state.locked_until + LOCKOUT_MAX_MS < now;
+            if (idle || this.clients.size >= MAX_CLIENTS) this.clients.delete(client);
+        }
+    }
+
+    /**
+     * Count a wrong PIN; the client is locked out after maxFailures in a row
+     */
+    countFailure(client, state, now, maxFailures) {
+        state.failures++;
+        if (state.failures >= maxFailures) {
+            const lockoutMs = Math.min(LOCKOUT_BASE_MS * 2 ** state.lockouts, LOCKOUT_MAX_MS);
+            state.lockouts++;
+            state.failures = 0;
+            state.locked_until = now + lockoutMs;
+            console.warn(`[pin] Too many wrong PINs from ${client}, locked for ${Math.round(lockoutMs / 1000)}s`);
+        }
+    }
+
+    /**
+     * Verify a PIN sent with a remote command.
+     * @param {*} input - PIN from the command
+     * @param {string} [client] - Who sent it; failures and lockouts are counted per client
+     * @param {string} [connection] - Connection the client uses (e.g. 'relay' for relay viewers);
+     *   its failures are counted too, against MAX_CONNECTION_FAILURES
+     * @returns {Promise<{ ok: boolean, code?: string, message?: string, retry_after?: number }>}
+     */
+    async verify(input, client = 'unknown', connection = client) {
+        if (!this.isConfigured()) {
+            return { ok: false, code: 'forbidden', message: 'This action requires a PIN, but no PIN is configured on the bridge' };
+        }
+        if (input === undefined || input === null || input === '') {
+            return { ok: false, code: 'pin_required', message: 'PIN required' };
+        }
+
+        const now = Date.now();
+        const state = this.getClient(client, now);
+        const connectionState = connection !== client ? this.getClient(connection, now) : null;
+        const states = connectionState ? [state, connectionState] : [state];
+
+        const lockedUntil = Math.max(...states.map(s => s.locked_until));
+        if (now < lockedUntil) {
+            const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+            return { ok: false, code: 'pin_locked', message: 'Too many wrong PINs', retry_after: retryAfter };
+        }
+        if (states.some(s => now - s.last_attempt_at < MIN_ATTEMPT_INTERVAL_MS)) {
+            return { ok: false, code: 'pin_locked', message: 'Too many PIN attempts', retry_after: 1 };
+        }
+        for (const s of states) s.last_attempt_at = now;
+
+        const pin = normalizePin(input);
+        const expected = Buffer.from(this.hash, 'base64');
+        const actual = pin ? await hashPin(pin, Buffer.from(this.salt, 'base64')) : null;
+
+        if (!actual || !crypto.timingSafeEqual(actual, expected)) {
+            this.countFailure(client, state, now, MAX_FAILURES);
+            if (connectionState) this.countFailure(connection, connectionState, now, MAX_CONNECTION_FAILURES);
+            this.save();
+            const locked = states.some(s => s.locked_until > now);
+            const attemptsLeft = Math.min(MAX_FAILURES - state.failures,
+                connectionState ? MAX_CONNECTION_FAILURES - connectionState.failures : Infinity);
+            return { ok: false, code: 'pin_invalid', message: 'Invalid PIN', attempts_left: locked ? 0 : attemptsLeft };
+        }
+
+        // The connection keeps its lockout history; a correct PIN only clears its failure count
+        const dirty = state.failures > 0 || state.lockouts > 0 || connectionState?.failures > 0;
+        this.clients.delete(client);
+        if (connectionState) connectionState.failures = 0;
+        if (dirty) this.save();
+        return { ok: true };
+    }
+
+    getStatus() {
+        const now = Date.now();
+        const lockedFor = [...this.clients.values()]
+            .map(state => state.locked_until - now)
+            .filter(ms => ms > 0);
+        return {
+            configured: this.isConfigured(),
+            updated_at: this.updatedAt,
+            locked: lockedFor.length > 0,
+            locked_clients: lockedFor.length,
+            locked_for: lockedFor.length > 0 ? Math.ceil(Math.max(...lockedFor) / 1000) : 0
+        };
+    }
+}
+
+// Export singleton instance
+const pinGuard = new PinGuard();
+module.exports = pinGuard;
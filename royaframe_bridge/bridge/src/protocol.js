@@ -0,0 +1,303 @@
+/**
+ * Message protocol for the local /ws endpoint, the relay and the /events SSE stream.
+ * Each message type is declared once as a JSON Schema; /protocol.json publishes them so
+ * clients can be generated instead of copied from the README.
+ *
+ *   commands - client -> bridge (requests); inbound commands are validated against these
+ *   messages - bridge -> client (replies and pushed updates)
+ */
+
+const { version } = require('../package.json');
+const { CODES } = require('./errors');
+
+// Size limits for inbound commands (the whole frame is capped in commands.js)
+const MAX_ID_LENGTH = 64;
+const MAX_NAME_LENGTH = 255;
+const MAX_ENTITIES = 500;
+const MAX_TEMPLATE_LENGTH = 10000;
+
+const ENTITY_ID = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+
+const ENTITY_LIST = {
+    description: 'Entity ID or list of entity IDs (a comma list is accepted)',
+    type: ['string', 'array'],
+    maxLength: 4096,
+    maxItems: MAX_ENTITIES,
+    items: ENTITY_ID
+};
+
+const SELECTOR_LIST = {
+    description: 'Entity IDs, domains (light) or globs (sensor.*_temperature)',
+    type: 'array',
+    maxItems: MAX_ENTITIES,
+    items: ENTITY_ID
+};
+
+const TIME = { type: 'string', maxLength: 64 };
+
+const HISTORY_QUERY = {
+    entity_id: ENTITY_LIST,
+    start_time: { ...TIME, description: 'ISO 8601 time, default end_time minus hours' },
+    end_time: { ...TIME, description: 'ISO 8601 time, default now' },
+    hours: { type: 'number', minimum: 0, maximum: 744, description: 'Window length when start_time is omitted (default 24)' }
+};
+
+// Home Assistant domain and service names are lowercase slugs
+const SLUG = { type: 'string', pattern: '^[a-z0-9_]+$', maxLength: MAX_NAME_LENGTH };
+
+const SERVICE_CALL = {
+    domain: SLUG,
+    service: SLUG,
+    data: { type: 'object', description: 'Service data' },
+    target: { type: 'object', description: '{ entity_id, device_id, area_id }' },
+    return_response: { type: 'boolean', description: 'Ask HA for the service response' },
+    idempotency_key: {
+        type: 'string',
+        pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$',
+        description: 'UUID, fresh per user action. Resent calls with the same key within 5 minutes get the first result ' +
+            'instead of running again. Keys are scoped to the client (relay viewer_id when the relay sends one), ' +
+            'so relay viewers without a viewer_id share one key space'
+    }
+};
+
+const PIN = { type: ['string', 'integer'], maxLength: 32, description: 'Action PIN when the rule requires one' };
+
+const STATE = {
+    type: 'object',
+    properties: {
+        entity_id: { type: 'string' },
+        state: { type: 'string' },
+        attributes: { type: 'object' },
+        last_changed: { type: 'string' },
+        last_updated: { type: 'string' }
+    }
+};
+
+const POSITION = {
+    seq: { type: 'integer', description: 'Sequence number of the last state change' },
+    epoch: { type: 'string', description: 'Changes when the bridge restarts; seq values are only comparable within one epoch' }
+};
+
+const SUBSCRIPTION = { type: 'integer', description: 'Subscription ID from the subscribe result' };
+
+const RESUME = {
+    last_seq: { type: 'integer', minimum: 0 },
+    epoch: { type: 'string', maxLength: MAX_ID_LENGTH }
+};
+
+const EVENT_SUBSCRIPTION = {
+    event_type: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+    trigger: { type: ['object', 'array'] },
+    variables: { type: 'object' }
+};
+
+const TEMPLATE_SUBSCRIPTION = {
+    template: { type: 'string', minLength: 1, maxLength: MAX_TEMPLATE_LENGTH },
+    variables: { type: 'object' }
+};
+
+const ERROR = {
+    description: 'Why a request failed (errors.js)',
+    type: 'object',
+    properties: {
+        code: { type: 'string', enum: Object.keys(CODES) },
+        message: { type: 'string' },
+        details: { type: 'object', description: 'retry_after, attempts_left, errors, ha_code, ...' }
+    },
+    required: ['code', 'message']
+};
+
+/**
+ * Schema for one message type
+ */
+function message(type, description, properties = {}, required = []) {
+    return {
+        description,
+        type: 'object',
+        properties: { type: { const: type }, ...properties },
+        required: ['type', ...required]
+    };
+}
+
+// Local /ws endpoint: `id` (or `request_id`) is echoed on the reply
+const WS_ID = { id: { type: ['integer', 'string'], maxLength: MAX_ID_LENGTH, description: 'Echoed on the reply' } };
+
+const IMAGE_REQUEST = {
+    entity_id: ENTITY_ID,
+    width: { type: 'integer', minimum: 1, maximum: 4096, description: 'Scale down to fit this width (JPEG, PNG and BMP pictures, and cameras)' },
+    height: { type: 'integer', minimum: 1, maximum: 4096, description: 'Scale down to fit this height (JPEG, PNG and BMP pictures, and cameras)' }
+};
+
+const ws = {
+    commands: {
+        call_service: message('call_service', 'Call a Home Assistant service, subject to service rules and the action PIN; replies result', {
+            ...WS_ID,
+            ...SERVICE_CALL,
+            service_data: { type: 'object', description: 'Alias of data' },
+            pin: PIN
+        }, ['domain', 'service']),
+        get_states: message('get_states', 'All states; replies states', WS_ID),
+        get_history: message('get_history', 'State history; replies result',
+            { ...WS_ID, ...HISTORY_QUERY, points: { type: 'integer', minimum: 1, maximum: 1000 } }, ['entity_id']),
+        get_logbook: message('get_logbook', 'Logbook entries; replies result',
+            { ...WS_ID, ...HISTORY_QUERY, limit: { type: 'integer', minimum: 1, maximum: 1000 } }),
+        get_image: message('get_image', 'Camera snapshot or entity picture; streams image_chunk frames, then result',
+            { ...WS_ID, ...IMAGE_REQUEST }, ['entity_id']),
+        resume: message('resume', 'Replay changes missed since last_seq; replies result or resync_required',
+            { ...WS_ID, ...RESUME }, ['last_seq', 'epoch']),
+        subscribe_states: message('subscribe_states', 'Receive every state change again; sends states, then replies result { count, delta }',
+            WS_ID),
+        subscribe_entities: message('subscribe_entities', 'Limit state_changed to matching entities; replies states',
+            { ...WS_ID, entities: { ...SELECTOR_LIST, minItems: 1 } }, ['entities']),
+        unsubscribe_entities: message('unsubscribe_entities', 'Remove selectors (all if omitted); replies result',
+            { ...WS_ID, entities: SELECTOR_LIST }),
+        subscribe_events: message('subscribe_events', 'Subscribe to an event type or a trigger; replies result { subscription }',
+            { ...WS_ID, ...EVENT_SUBSCRIPTION }),
+        subscribe_template: message('subscribe_template', 'Render a template on every change; replies result { subscription }',
+            { ...WS_ID, ...TEMPLATE_SUBSCRIPTION }, ['template']),
+        unsubscribe_events: message('unsubscribe_events', 'End an event subscription; replies result',
+            { ...WS_ID, subscription: SUBSCRIPTION }, ['subscription']),
+        unsubscribe_template: message('unsubscribe_template', 'End a template subscription; replies result',
+            { ...WS_ID, subscription: SUBSCRIPTION }, ['subscription']),
+        ping: message('ping', 'Keepalive; replies pong', WS_ID)
+    },
+    messages: {
+        connection_status: message('connection_status', 'Home Assistant connection changed (also sent on connect)',
+            { connected: { type: 'boolean' } }, ['connected']),
+        state_changed: message('state_changed', 'An entity changed',
+            { seq: POSITION.seq, data: { type: 'object', description: '{ entity_id, new_state, old_state }' } }, ['data']),
+        states: message('states', 'Snapshot of states (get_states, subscribe_entities, or a resync after HA reconnects)', {
+            ...WS_ID,
+            ...POSITION,
+            data: { type: 'array', items: STATE },
+            subscription: { type: 'array', items: { type: 'string' } },
+            resync: { type: 'boolean' },
+            removed: { type: 'array', items: { type: 'string' } }
+        }, ['data']),
+        result: message('result', 'Reply to a command; error is set when success is false',
+            { ...WS_ID, success: { type: 'boolean' }, result: {}, error: ERROR }, ['success']),
+        resync_required: message('resync_required', 'resume could not replay; fetch states again', { ...WS_ID, ...POSITION }),
+        image_chunk: message('image_chunk', 'Part of a get_image reply', {
+            ...WS_ID,
+            index: { type: 'integer' },
+            total: { type: 'integer' },
+            data: { type: 'string', description: 'base64' }
+        }, ['index', 'total', 'data']),
+        event: message('event', 'Event or trigger for a subscription',
+            { subscription: SUBSCRIPTION, event: { type: 'object' } }, ['subscription', 'event']),
+        template: message('template', 'Template result, or { code: template_error, message }',
+            { subscription: SUBSCRIPTION, result: {}, error: ERROR }, ['subscription']),
+        pong: message('pong', 'Reply to ping', WS_ID),
+        error: message('error', 'Reply to a failed get_states', { ...WS_ID, error: ERROR }, ['error'])
+    }
+};
+
+// Relay: viewers correlate with numeric `id` (get_states and ping use `request_id`).
+// Relays that tell viewers apart add `viewer_id` to the frames they forward.
+const VIEWER_ID = { viewer_id: { type: 'string', maxLength: MAX_ID_LENGTH, description: 'Set by the relay: which viewer sent the frame' } };
+const RELAY_ID = { id: { type: 'integer' }, ...VIEWER_ID };
+const RELAY_REQUEST_ID = { request_id: { type: ['integer', 'string'], maxLength: MAX_ID_LENGTH }, ...VIEWER_ID };
+
+const relay = {
+    commands: {
+        call_service: message('call_service', 'Call a service, subject to exposure, service rules and the action PIN', {
+            ...RELAY_ID,
+            ...SERVICE_CALL,
+            service_data: { type: 'object', description: 'Alias of data' },
+            pin: PIN
+        }, ['domain', 'service']),
+        get_states: message('get_states', 'Exposed states; replies states', RELAY_REQUEST_ID),
+        subscribe_states: message('subscribe_states', 'Send states_sync, then stream state_changed; replies result { count, delta }',
+            { ...RELAY_ID, delta: { type: 'boolean', description: 'Opt into attribute deltas (only for viewers the relay identifies with viewer_id)' } }),
+        resume: message('resume', 'Replay changes missed since last_seq; replies result or resync_required',
+            { ...RELAY_ID, ...RESUME }, ['last_seq', 'epoch']),
+        get_history: message('get_history', 'State history of exposed entities (at most 200 points)',
+            { ...RELAY_ID, ...HISTORY_QUERY, points: { type: 'integer', minimum: 1, maximum: 200 } }, ['entity_id']),
+        get_logbook: message('get_logbook', 'Logbook entries of exposed entities',
+            { ...RELAY_ID, ...HISTORY_QUERY, limit: { type: 'integer', minimum: 1, maximum: 1000 } }),
+        get_image: message('get_image', 'Camera snapshot or entity picture; streams image_chunk frames, then result', {
+            ...RELAY_ID,
+            ...IMAGE_REQUEST,
+            ref: { type: 'string', maxLength: 1024, description: 'bridge://image/... reference from entity_picture' }
+        }),
+        subscribe_events: message('subscribe_events', 'Subscribe to an allowed event type or trigger platform on exposed entities',
+            { ...RELAY_ID, ...EVENT_SUBSCRIPTION }),
+        subscribe_template: message('subscribe_template', 'Render a template that only reads exposed entities',
+            { ...RELAY_ID, ...TEMPLATE_SUBSCRIPTION }, ['template']),
+        unsubscribe_events: message('unsubscribe_events', 'End an event subscription',
+            { ...RELAY_ID, subscription: SUBSCRIPTION }, ['subscription']),
+        unsubscribe_template: message('unsubscribe_template', 'End a template subscription',
+            { ...RELAY_ID, subscription: SUBSCRIPTION }, ['subscription']),
+        ping: message('ping', 'Keepalive; replies pong', RELAY_REQUEST_ID)
+    },
+    messages: {
+        states_sync: message('states_sync', 'All exposed states with the floors, areas and devices they reference', {
+            ...POSITION,
+            states: { type: 'array', items: STATE },
+            floors: { type: 'array', items: { type: 'object' } },
+            areas: { type: 'array', items: { type: 'object' } },
+            devices: { type: 'array', items: { type: 'object' } }
+        }, ['states']),
+        state_changed: message('state_changed', 'An exposed entity changed (flattened; attribute deltas for viewers in delta mode)', {
+            seq: POSITION.seq,
+            viewer_id: { type: 'string', description: 'Set when the frame is for one viewer only' },
+            entity_id: { type: 'string' },
+            state: { type: 'string' },
+            last_changed: { type: 'string' },
+            last_updated: { type: 'string' },
+            attributes: { type: 'object' },
+            checkpoint: { type: 'boolean' },
+            delta: { type: 'boolean' },
+            attributes_changed: { type: 'object' },
+            attributes_removed: { type: 'array', items: { type: 'string' } }
+        }, ['entity_id']),
+        states: message('states', 'Reply to get_states',
+            { ...RELAY_REQUEST_ID, ...POSITION, data: { type: 'array', items: STATE } }, ['data']),
+        result: message('result', 'Reply to a command',
+            { ...RELAY_ID, success: { type: 'boolean' }, result: {}, error: ERROR }, ['success']),
+        resync_required: message('resync_required', 'resume could not replay; send subscribe_states again', { ...RELAY_ID, ...POSITION }),
+        image_chunk: message('image_chunk', 'Part of a get_image reply', {
+            ...RELAY_ID,
+            index: { type: 'integer' },
+            total: { type: 'integer' },
+            data: { type: 'string', description: 'base64' }
+        }, ['id', 'index', 'total', 'data']),
+        event: message('event', 'Event or trigger for a subscription; viewer_id is the subscribing viewer',
+            { subscription: SUBSCRIPTION, event: { type: 'object' }, ...VIEWER_ID }, ['subscription', 'event']),
+        template: message('template', 'Template result, or { code: template_error | forbidden, message }',
+            { subscription: SUBSCRIPTION, result: {}, error: ERROR, ...VIEWER_ID }, ['subscription']),
+        ha_unavailable: message('ha_unavailable', 'Home Assistant is not reachable; controls are stale'),
+        ha_available: message('ha_available', 'Home Assistant is back; sent after the fresh states_sync'),
+        pong: message('pong', 'Reply to ping', RELAY_REQUEST_ID),
+        error: message('error', 'Reply to a failed get_states',
+            { ...RELAY_REQUEST_ID, error: ERROR }, ['error'])
+    }
+};
+
+// /events carries these /ws messages
+const SSE_MESSAGES = ['connection_status', 'state_changed', 'states', 'resync_required'];
+
+/**
+ * Published protocol description (/protocol.json)
+ */
+function getProtocolSchema() {
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'RoyaFrame Bridge message protocol',
+        version,
+        channels: {
+            ws: { description: 'Local WebSocket endpoint (/ws)', ...ws },
+            relay: { description: 'Messages exchanged with remote viewers through the relay', ...relay },
+            sse: {
+                description: 'Server-Sent Events stream (GET /events); the event name is the message type',
+                messages: Object.fromEntries(SSE_MESSAGES.map(type => [type, ws.messages[type]]))
+            }
+        }
+    };
+}
+
+module.exports = {
+    ws,
+    relay,
+    getProtocolSchema
+};
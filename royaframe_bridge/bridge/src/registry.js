@@ -0,0 +1,278 @@
+/**
+ * Home Assistant Registries
+ * Mirrors the floor, area, device and entity registries over the HA WebSocket
+ * and keeps them current through the *_registry_updated events.
+ *
+ * Used to group entities by room (frame layouts, /ha/registry, relay states_sync),
+ * to resolve area: selectors in the exposure policy and to expand area/device targets
+ * for the service rules.
+ */
+
+const EventEmitter = require('events');
+const haWS = require('./haWebSocket');
+
+// HA list command and update event for each registry
+const REGISTRIES = {
+    floors: { command: 'config/floor_registry/list', event: 'floor_registry_updated', key: 'floor_id' },
+    areas: { command: 'config/area_registry/list', event: 'area_registry_updated', key: 'area_id' },
+    devices: { command: 'config/device_registry/list', event: 'device_registry_updated', key: 'id' },
+    entities: { command: 'config/entity_registry/list', event: 'entity_registry_updated', key: 'entity_id' }
+};
+
+// Registry update events come in bursts (e.g. while an integration sets up)
+const RELOAD_DEBOUNCE_MS = 1000;
+
+class Registry extends EventEmitter {
+    constructor() {
+        super();
+        this.floors = new Map();
+        this.areas = new Map();
+        this.devices = new Map();
+        this.entities = new Map();
+        this.loaded = false;
+        this.loadedAt = null;
+        this.subscribedEvents = new Set();
+        this.reloadTimers = {};
+
+        haWS.on('connected', () => {
+            this.subscribeUpdates();
+            this.loadAll();
+        });
+    }
+
+    /**
+     * Load every registry; emits 'updated' once all are in
+     */
+    async loadAll() {
+        try {
+            await Promise.all(Object.keys(REGISTRIES).map(name => this.loadRegistry(name)));
+            this.loaded = true;
+            this.loadedAt = new Date().toISOString();
+            console.log(`[registry] Loaded ${this.floors.size} floors, ${this.areas.size} areas, ${this.devices.size} devices, ${this.entities.size} entities`);
+            this.emit('updated', 'all');
+        } catch (err) {
+            console.error(`[registry] Failed to load registries: ${err.message}`);
+        }
+    }
+
+    async loadRegistry(name) {
+        const { command, key } = REGISTRIES[name];
+        let items;
+        try {
+            items = await haWS.request({ type: command });
+        } catch (err) {
+            // Floors only exist since HA 2024.4
+            if (name !== 'floors') throw err;
+            items = [];
+        }
+        this[name] = new Map((items || []).map(item => [item[key], item]));
+    }
+
+    /**
+     * Reload a registry when HA reports changes to it
+     */
+    async subscribeUpdates() {
+        for (const name of Object.keys(REGISTRIES)) {
+            // Subscriptions survive reconnects (see haWebSocket.js); only retry failed ones
+            if (this.subscribedEvents.has(name)) continue;
+            this.subscribedEvents.add(name);
+            try {
+                await haWS.subscribeEvents(REGISTRIES[name].event, () => this.scheduleReload(name));
+            } catch (err) {
+                this.subscribedEvents.delete(name);
+                console.warn(`[registry] Failed to subscribe to ${REGISTRIES[name].event}: ${err.message}`);
+            }
+        }
+    }
+
+    scheduleReload(name) {
+        if (this.reloadTimers[name]) return;
+        this.reloadTimers[name] = setTimeout(async () => {
+            this.reloadTimers[name] = null;
+            try {
+                await this.loadRegistry(name);
+                this.emit('updated', name);
+            } catch (err) {
+                console.error(`[registry] Failed to reload ${name}: ${err.message}`);
+            }
+        }, RELOAD_DEBOUNCE_MS);
+    }
+
+    isLoaded() {
+        return this.loaded;
+    }
+
+    /**
+     * Area an entity belongs to: its own area, else its device's area
+     */
+    getEntityAreaId(entityId) {
+        const entry = this.entities.get(entityId);
+        if (!entry) return null;
+        if (entry.area_id) return entry.area_id;
+        return this.devices.get(entry.device_id)?.area_id || null;
+    }
+
+    /**
+     * Lowercase area id and name of an entity, for area: selectors (see entityMatch.js)
+     * @returns {Set<string>}
+     */
+    getAreaKeys(entityId) {
+        const keys = new Set();
+        const areaId = this.getEntityAreaId(entityId);
+        if (!areaId) return keys;
+        keys.add(areaId.toLowerCase());
+        const name = this.areas.get(areaId)?.name;
+        if (name) keys.add(String(name).toLowerCase());
+        return keys;
+    }
+
+    /**
+     * Expand area, device, floor and label service targets to entity ids, the way HA does.
+     * Ids the registry does not know (or all of them, before it has loaded) come back as
+     * unresolved ("area_id:kitchen"), so callers can treat them conservatively.
+     * @param {object} targets - { area_id: [], device_id: [], floor_id: [], label_id: [] }
+     * @returns {{ entityIds: string[], unresolved: string[] }}
+     */
+    resolveTargets(targets) {
+        const unresolved = [];
+        const areaIds = new Set();
+        const deviceIds = new Set();
+        const entityIds = new Set();
+        const list = key => targets?.[key] || [];
+
+        if (!this.loaded) {
+            for (const key of ['area_id', 'device_id', 'floor_id', 'label_id']) {
+                for (const id of list(key)) unresolved.push(`${key}:${id}`);
+            }
+            return { entityIds: [], unresolved };
+        }
+
+        for (const floorId of list('floor_id')) {
+            if (!this.floors.has(floorId)) {
+                unresolved.push(`floor_id:${floorId}`);
+                continue;
+            }
+            for (const area of this.areas.values()) {
+                if (area.floor_id === floorId) areaIds.add(area.area_id);
+            }
+        }
+        // The label registry is not mirrored: a label nothing carries counts as unknown
+        for (const labelId of list('label_id')) {
+            let found = false;
+            for (const area of this.areas.values()) {
+                if (area.labels?.includes(labelId)) { areaIds.add(area.area_id); found = true; }
+            }
+            for (const device of this.devices.values()) {
+                if (device.labels?.includes(labelId)) { deviceIds.add(device.id); found = true; }
+            }
+            for (const entry of this.entities.values()) {
+                if (entry.labels?.includes(labelId)) { entityIds.add(entry.entity_id); found = true; }
+            }
+            if (!found) unresolved.push(`label_id:${labelId}`);
+        }
+        for (const areaId of list('area_id')) {
+            if (this.areas.has(areaId)) areaIds.add(areaId);
+            else unresolved.push(`area_id:${areaId}`);
+        }
+        for (const deviceId of list('device_id')) {
+            if (this.devices.has(deviceId)) deviceIds.add(deviceId);
+            else unresolved.push(`device_id:${deviceId}`);
+        }
+
+        if (areaIds.size > 0 || deviceIds.size > 0) {
+            for (const entry of this.entities.values()) {
+                if (deviceIds.has(entry.device_id) || areaIds.has(this.getEntityAreaId(entry.entity_id))) {
+                    entityIds.add(entry.entity_id);
+                }
+            }
+        }
+        return { entityIds: [...entityIds], unresolved };
+    }
+
+    /**
+     * Area and device ids to attach to an entity state
+     */
+    getEntityPlacement(entityId) {
+        const entry = this.entities.get(entityId);
+        return {
+            area_id: this.getEntityAreaId(entityId),
+            device_id: entry?.device_id || null
+        };
+    }
+
+    getFloors() {
+        return [...this.floors.values()].map(floor => ({
+            floor_id: floor.floor_id,
+            name: floor.name,
+            level: floor.level ?? null,
+            icon: floor.icon || null,
+            aliases: floor.aliases || []
+        }));
+    }
+
+    getAreas() {
+        return [...this.areas.values()].map(area => ({
+            area_id: area.area_id,
+            name: area.name,
+            floor_id: area.floor_id || null,
+            icon: area.icon || null,
+            picture: area.picture || null,
+            aliases: area.aliases || []
+        }));
+    }
+
+    getDevices() {
+        return [...this.devices.values()].map(device => ({
+            id: device.id,
+            name: device.name_by_user || device.name,
+            manufacturer: device.manufacturer || null,
+            model: device.model || null,
+            area_id: device.area_id || null,
+            via_device_id: device.via_device_id || null,
+            entry_type: device.entry_type || null,
+            disabled: !!device.disabled_by
+        }));
+    }
+
+    getEntities() {
+        return [...this.entities.values()].map(entry => ({
+            entity_id: entry.entity_id,
+            name: entry.name || entry.original_name || null,
+            platform: entry.platform,
+            device_id: entry.device_id || null,
+            area_id: this.getEntityAreaId(entry.entity_id),
+            entity_category: entry.entity_category || null,
+            icon: entry.icon || null,
+            hidden: !!entry.hidden_by,
+            disabled: !!entry.disabled_by
+        }));
+    }
+
+    /**
+     * Full registry export for frame layouts
+     */
+    getRegistry() {
+        return {
+            loaded_at: this.loadedAt,
+            floors: this.getFloors(),
+            areas: this.getAreas(),
+            devices: this.getDevices(),
+            entities: this.getEntities()
+        };
+    }
+
+    getStatus() {
+        return {
+            loaded: this.loaded,
+            loaded_at: this.loadedAt,
+            floors: this.floors.size,
+            areas: this.areas.size,
+            devices: this.devices.size,
+            entities: this.entities.size
+        };
+    }
+}
+
+// Export singleton instance
+const registry = new Registry();
+module.exports = registry;
@@ -10,6 +10,12 @@ const fs = require('fs');
 const haWS = require('./haWebSocket');
 const ha = require('./ha');
 const identity = require('./agentIdentity');
+const exposurePolicy = require('./exposure');
+const commands = require('./commands');
+const { DeltaEncoder, CHECKPOINT_INTERVAL_MS } = require('./stateDelta');
+const stateStream = require('./stateStream');
+const registry = require('./registry');
+const images = require('./images');
 
 const DEFAULT_RELAY_ORIGIN = 'https://digital-twin.lavvimaa.workers.dev';
 const RELAY_OVERRIDE_PATH = process.env.RELAY_OVERRIDE_PATH || '/data/royaframe_relay_override.json';
@@ -79,6 +85,20 @@ function resolveRelayOrigin() {
     return { origin: normalizeRelayOrigin(DEFAULT_RELAY_ORIGIN), source: 'default' };
 }
 
+/**
+ * Viewer a relay frame came from: its viewer_id, or '' for relays that do not send one
+ */
+function viewerKey(msg) {
+    return typeof msg.viewer_id === 'string' ? msg.viewer_id : '';
+}
+
+/**
+ * Address a frame to one viewer; frames for '' go to every viewer
+ */
+function addressTo(viewer, frame) {
+    return viewer ? { ...frame, viewer_id: viewer } : frame;
+}
+
 function extractAppCount(data) {
     if (!data || typeof data !== 'object') return null;
     // Prefer device count (unique clients) over tab count for user-friendly display
@@ -140,6 +160,21 @@ class RelayClient extends EventEmitter {
         this.idleTimer = null;
         this.idlePollTimer = null;
         this.idleClosing = false;
+
+        // Set once a viewer sent subscribe_states on this connection
+        this.statesSubscribed = false;
+        // Last Home Assistant availability reported to viewers (null = unknown)
+        this.haAvailable = null;
+
+        // Attribute delta mode, negotiated per viewer via subscribe_states { delta: true }.
+        // Only viewers the relay identifies with a viewer_id can opt in; '' stands for viewers
+        // without one, which always get the full, unaddressed frames.
+        // viewer -> DeltaEncoder for viewers in delta mode, and the viewers that want full states
+        this.deltaViewers = new Map();
+        this.fullViewers = new Set();
+
+        // Command session of the current connection (owns viewers' HA event/template subscriptions)
+        this.session = null;
     }
 
     validateOrigin(origin) {
@@ -277,6 +312,8 @@ class RelayClient extends EventEmitter {
         this.clearIdleTimer();
         this.idleState = 'idle';
         this.idleClosing = true;
+        // No viewers left to receive events or template output
+        this.dropEventSubscriptions();
         if (this.ws) {
             this.ws.close(1000, 'idle');
         }
@@ -535,6 +572,16 @@ class RelayClient extends EventEmitter {
             return;
         }
 
+        const ws = this.ws;
+        this.session = commands.createSession({
+            tag: 'relay',
+            channel: 'relay',
+            remote: true,
+            client: 'relay',
+            send: (frame) => this.send(frame),
+            isOpen: () => this.ws === ws && this.registered
+        });
+
         this.lastErrorFrame = null;
         this.lastWsMessage = null;
         this.lastWsMessageAt = null;
@@ -601,6 +648,9 @@ class RelayClient extends EventEmitter {
             this.registered = false;
             this.awaitingRegisterOk = false;
             this.clearRegisterTimer();
+            this.statesSubscribed = false;
+            this.clearViewers();
+            this.dropEventSubscriptions();
 
             if (wasAwaitingRegisterOk) {
                 const errorDetail = lastErrorFrame ? JSON.stringify(lastErrorFrame) : 'none';
@@ -696,6 +746,17 @@ class RelayClient extends EventEmitter {
             return;
         }
 
+        // Viewer commands are checked against protocol.js; relay control frames are not
+        if (commands.isCommand(this.session, msg.type)) {
+            try {
+                commands.validate(this.session, msg, data.length);
+            } catch (err) {
+                console.warn(`[relay] Rejected ${msg.type}: ${err.message}`);
+                this.sendCommandError(msg, err);
+                return;
+            }
+        }
+
         switch (msg.type) {
             case 'agent_ok':
                 console.log('[relay] Received agent_ok (ignored)');
@@ -754,6 +815,13 @@ class RelayClient extends EventEmitter {
                 // Extract actual app_count from message (should be 0)
                 const offlineCount = extractAppCount(msg);
                 this.updateAppCount(offlineCount !== null ? offlineCount : 0);
+                if (offlineCount === 0 || offlineCount === null) {
+                    this.clearViewers();
+                } else if (typeof msg.viewer_id === 'string') {
+                    this.deltaViewers.delete(msg.viewer_id);
+                    this.fullViewers.delete(msg.viewer_id);
+                    if (this.session) commands.closeViewer(this.session, msg.viewer_id);
+                }
                 break;
             }
 
@@ -761,93 +829,49 @@ class RelayClient extends EventEmitter {
                 this.handleUnauthorized('agent_unauthorized');
                 break;
 
-            case 'call_service':
-                try {
-                    const result = await haWS.callService(
-                        msg.domain,
-                        msg.service,
-                        msg.service_data || msg.data || {},
-                        msg.target || {}
-                    );
-                    // Web app expects { type: 'result', id: <number>, success: true, result }
-                    this.send({
-                        type: 'result',
-                        id: msg.id,
-                        success: true,
-                        result
-                    });
-                } catch (err) {
-                    this.send({
-                        type: 'result',
-                        id: msg.id,
-                        success: false,
-                        error: err.message
-                    });
-                }
-                break;
-
-            case 'get_states':
-                try {
-                    const states = await haWS.request({ type: 'get_states' });
-                    this.send({
-                        type: 'states',
-                        request_id: msg.request_id,
-                        data: states
-                    });
-                } catch (err) {
-                    this.send({
-                        type: 'error',
-                        request_id: msg.request_id,
-                        error: err.message
-                    });
-                }
-                break;
-
             case 'subscribe_states':
                 // Web app is subscribing to state updates
                 // Send all current states as bulk sync, then continue forwarding state_changed
-                console.log('[relay] Received subscribe_states request');
+                // { delta: true } opts this viewer into attribute deltas; the states_sync becomes the baseline.
+                // Viewers without a viewer_id cannot be addressed on their own, so they stay on full states.
+                console.log(`[relay] Received subscribe_states request (delta=${msg.delta === true})`);
                 try {
-                    const allStates = await haWS.request({ type: 'get_states' });
-                    // Transform to the format expected by web app
-                    const statesArray = Array.isArray(allStates) ? allStates : [];
-                    const formattedStates = statesArray.map(s => ({
-                        entity_id: s.entity_id,
-                        state: s.state,
-                        attributes: s.attributes || {},
-                        last_changed: s.last_changed,
-                        last_updated: s.last_updated,
-                    }));
-                    console.log(`[relay] Sending states_sync with ${formattedStates.length} entities`);
-                    this.send({
-                        type: 'states_sync',
-                        states: formattedStates
-                    });
+                    const delta = msg.delta === true && viewerKey(msg) !== '';
+                    const states = this.sendStatesSync();
+                    this.setViewerMode(viewerKey(msg), delta, states);
+                    this.statesSubscribed = true;
                     // Also send result for the pending promise
                     if (msg.id) {
-                        this.send({
-                            type: 'result',
-                            id: msg.id,
-                            success: true,
-                            result: { count: formattedStates.length }
-                        });
+                        const result = { count: states.length, delta };
+                        if (delta) result.checkpoint_interval_ms = CHECKPOINT_INTERVAL_MS;
+                        this.send(commands.correlate(msg, { type: 'result', success: true, result }));
                     }
                 } catch (err) {
                     console.error('[relay] Failed to fetch states for subscribe_states:', err.message);
-                    if (msg.id) {
-                        this.send({
-                            type: 'result',
-                            id: msg.id,
-                            success: false,
-                            error: err.message
-                        });
-                    }
+                    if (msg.id) this.sendCommandError(msg, err);
                 }
                 break;
 
-            case 'ping':
-                this.send({ type: 'pong', request_id: msg.request_id });
+            case 'resume': {
+                // Viewer reconnected: replay missed changes or ask it to resubscribe
+                const events = stateStream.since(msg.last_seq, msg.epoch);
+                if (!events) {
+                    this.send(commands.correlate(msg, { type: 'resync_required', ...stateStream.getPosition() }));
+                    break;
+                }
+                // Replayed frames are full states for this viewer; other viewers keep their mode
+                const viewer = viewerKey(msg);
+                let replayed = 0;
+                for (const { seq, data } of events) {
+                    if (this.forwardStateChange(data, seq, viewer)) replayed++;
+                }
+                this.send(commands.correlate(msg, {
+                    type: 'result',
+                    success: true,
+                    result: { ...stateStream.getPosition(), replayed }
+                }));
                 break;
+            }
 
             case 'error': {
                 const errorStr = msg.error || 'unknown error';
@@ -883,10 +907,34 @@ class RelayClient extends EventEmitter {
             }
 
             default:
+                if (commands.has(msg.type)) {
+                    await this.handleCommand(msg);
+                }
                 break;
         }
     }
 
+    /**
+     * Run a viewer command through the shared command layer and send the reply
+     */
+    async handleCommand(msg) {
+        try {
+            const result = await commands.dispatch(this.session, msg);
+            // The connection dropped while the command ran
+            if (result === undefined) return;
+            this.send(commands.toReply(msg, result));
+        } catch (err) {
+            this.sendCommandError(msg, err);
+        }
+    }
+
+    /**
+     * Reply to a failed command (see commands.toErrorReply)
+     */
+    sendCommandError(msg, err) {
+        this.send(commands.toErrorReply(msg, err));
+    }
+
     send(msg) {
         if (!this.ws) {
             console.error('[relay] send() called but this.ws is null');
@@ -912,23 +960,160 @@ class RelayClient extends EventEmitter {
         }
     }
 
-    forwardStateChange(data) {
+    /**
+     * Send all exposed states as a bulk states_sync and make it every delta viewer's baseline.
+     * Throws if the state mirror is not available. Returns the states sent.
+     */
+    sendStatesSync() {
+        haWS.assertStates();
+        const allStates = haWS.getAllStates();
+        // Transform to the format expected by web app
+        const statesArray = exposurePolicy.filterStates(allStates);
+        const formattedStates = statesArray.map(s => ({
+            entity_id: s.entity_id,
+            state: s.state,
+            attributes: images.rewriteAttributes(s.entity_id, s.attributes || {}),
+            last_changed: s.last_changed,
+            last_updated: s.last_updated,
+            ...registry.getEntityPlacement(s.entity_id)
+        }));
+        console.log(`[relay] Sending states_sync with ${formattedStates.length} entities`);
+        this.send({
+            type: 'states_sync',
+            ...stateStream.getPosition(),
+            states: formattedStates,
+            ...this.getPlacementInfo(formattedStates)
+        });
+        for (const encoder of this.deltaViewers.values()) {
+            encoder.reset(formattedStates);
+        }
+        return formattedStates;
+    }
+
+    /**
+     * Areas, floors and devices referenced by the given states, for grouping controls by room.
+     * Only what exposed entities point at is sent.
+     */
+    getPlacementInfo(states) {
+        const areaIds = new Set(states.map(s => s.area_id).filter(Boolean));
+        const deviceIds = new Set(states.map(s => s.device_id).filter(Boolean));
+        const areas = registry.getAreas().filter(area => areaIds.has(area.area_id));
+        const floorIds = new Set(areas.map(area => area.floor_id).filter(Boolean));
+        return {
+            floors: registry.getFloors().filter(floor => floorIds.has(floor.floor_id)),
+            areas,
+            devices: registry.getDevices()
+                .filter(device => deviceIds.has(device.id))
+                .map(({ id, name, manufacturer, model, area_id }) => ({ id, name, manufacturer, model, area_id }))
+        };
+    }
+
+    /**
+     * Home Assistant went away: viewers should grey out controls
+     */
+    notifyHaUnavailable() {
+        // Reconnect attempts close repeatedly; only report the transition
+        if (this.haAvailable === false) return;
+        this.haAvailable = false;
         if (!this.registered) return;
+        this.send({ type: 'ha_unavailable' });
+    }
+
+    /**
+     * Home Assistant states are (re)loaded: push a fresh states_sync to subscribed viewers
+     */
+    notifyHaAvailable() {
+        this.haAvailable = true;
+        if (!this.registered) return;
+        if (this.statesSubscribed) {
+            try {
+                this.sendStatesSync();
+            } catch (err) {
+                console.error('[relay] Failed to resync states:', err.message);
+            }
+        }
+        this.send({ type: 'ha_available' });
+    }
+
+    /**
+     * End the HA event/template subscriptions viewers made on this connection
+     */
+    dropEventSubscriptions() {
+        if (this.session) commands.closeSession(this.session);
+    }
+
+    /**
+     * Send a state change to the relay. Returns true if a frame was sent.
+     * Without delta viewers this is one full frame for everyone. Otherwise each delta viewer
+     * gets its own encoded frame, and viewers that want full states get a full one: a shared
+     * frame for viewers without a viewer_id (they skip frames marked delta), their own for the rest.
+     * @param {object} data - { entity_id, new_state, old_state }
+     * @param {number} [seq] - Position in the state stream
+     * @param {string} [replayTo] - Viewer a resume replays to; replayed frames are always full
+     */
+    forwardStateChange(data, seq, replayTo) {
+        if (!this.registered) return false;
         // Only skip if we KNOW there are 0 apps (not null/undefined which means unknown)
         // This avoids a race condition after re-registration where appCount hasn't been updated yet
-        if (this.appCount === 0) return;
+        if (this.appCount === 0) return false;
+        // Hidden entities never leave the house
+        if (!exposurePolicy.isExposed(data.entity_id)) return false;
 
         // Extract and flatten for web app compatibility
         // data = { entity_id, new_state: { state, attributes, last_changed, last_updated }, old_state }
         const newState = data.new_state || {};
-        this.send({
+        // entity_picture URLs point at HA; viewers fetch them with get_image instead
+        const attributes = images.rewriteAttributes(data.entity_id, newState.attributes || {});
+        const frame = {
             type: 'state_changed',
             entity_id: data.entity_id,
             state: newState.state,
-            attributes: newState.attributes || {},
             last_changed: newState.last_changed,
             last_updated: newState.last_updated,
-        });
+        };
+        if (seq !== undefined) frame.seq = seq;
+
+        if (replayTo !== undefined) {
+            this.deltaViewers.get(replayTo)?.forget(data.entity_id);
+            return this.send(addressTo(replayTo, { ...frame, attributes }));
+        }
+        if (this.deltaViewers.size === 0) {
+            return this.send({ ...frame, attributes });
+        }
+
+        let sent = false;
+        for (const [viewer, encoder] of this.deltaViewers) {
+            // Either { attributes, checkpoint } or { delta, attributes_changed, attributes_removed }
+            const encoded = encoder.encode(data.entity_id, data.new_state && { ...newState, attributes });
+            sent = this.send(addressTo(viewer, { ...frame, ...encoded })) || sent;
+        }
+        for (const viewer of this.fullViewers) {
+            sent = this.send(addressTo(viewer, { ...frame, attributes })) || sent;
+        }
+        return sent;
+    }
+
+    /**
+     * Record whether a viewer wants attribute deltas
+     * @param {string} viewer - viewer_id, or '' if the relay sent none (never in delta mode)
+     * @param {boolean} delta
+     * @param {Array} baseline - States the viewer now holds (from states_sync)
+     */
+    setViewerMode(viewer, delta, baseline) {
+        if (delta && viewer) {
+            const encoder = this.deltaViewers.get(viewer) || new DeltaEncoder();
+            encoder.reset(baseline);
+            this.deltaViewers.set(viewer, encoder);
+            this.fullViewers.delete(viewer);
+        } else {
+            this.fullViewers.add(viewer);
+            this.deltaViewers.delete(viewer);
+        }
+    }
+
+    clearViewers() {
+        this.deltaViewers.clear();
+        this.fullViewers.clear();
     }
 
     scheduleReconnect() {
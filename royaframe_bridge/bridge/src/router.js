@@ -0,0 +1,204 @@
+/**
+ * HTTP API Router
+ * Routes declare a method, a path pattern with :params, an optional JSON body schema
+ * and a handler. Unknown API paths get a JSON 404, known paths with the wrong method a
+ * JSON 405 with an Allow header; HEAD runs the GET handler and OPTIONS lists the methods.
+ *
+ * Handlers receive { req, res, params, query, body }. A returned value is sent as JSON
+ * (200); handlers that need another status call sendJson themselves and return nothing.
+ * A thrown error is sent as { error, code } with the status for its code (errors.js).
+ */
+
+const { validate } = require('./schema');
+const { toBridgeError, httpStatus } = require('./errors');
+
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Strip the Home Assistant Ingress prefix (/api/hassio_ingress/<token>) from a path.
+ * HA normally strips it, but some requests still include it.
+ */
+function stripIngressPrefix(pathname) {
+    if (!pathname.includes('/api/hassio_ingress/')) return pathname;
+    const parts = pathname.split('/');
+    const ingressIndex = parts.findIndex(p => p === 'hassio_ingress');
+    if (ingressIndex !== -1 && parts.length > ingressIndex + 2) {
+        return '/' + parts.slice(ingressIndex + 2).join('/');
+    }
+    return pathname;
+}
+
+/**
+ * Send JSON response
+ */
+function sendJson(res, data, status = 200, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Parse JSON body from request
+ */
+function parseBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Compile '/ha/entities/:entity_id' into a RegExp and its parameter names
+ */
+function compilePath(path) {
+    const names = [];
+    const source = path
+        .split('/')
+        .map(segment => {
+            if (!segment.startsWith(':')) return segment.replace(/[.+*?^${}()|[\]\\]/g, '\\$&');
+            names.push(segment.slice(1));
+            return '([^/]+)';
+        })
+        .join('/');
+    return { regex: new RegExp(`^${source}$`), names };
+}
+
+class Router {
+    /**
+     * @param {string[]} apiPrefixes - Paths under these prefixes are API paths (JSON 404)
+     */
+    constructor(apiPrefixes = []) {
+        this.apiPrefixes = apiPrefixes;
+        this.routes = [];
+    }
+
+    /**
+     * Register a route
+     * @param {object} route - { method, path, body?, handler }
+     */
+    add(route) {
+        this.routes.push({ ...route, ...compilePath(route.path) });
+        return this;
+    }
+
+    get(path, handler, options = {}) {
+        return this.add({ ...options, method: 'GET', path, handler });
+    }
+
+    post(path, handler, options = {}) {
+        return this.add({ ...options, method: 'POST', path, handler });
+    }
+
+    put(path, handler, options = {}) {
+        return this.add({ ...options, method: 'PUT', path, handler });
+    }
+
+    delete(path, handler, options = {}) {
+        return this.add({ ...options, method: 'DELETE', path, handler });
+    }
+
+    isApiPath(pathname) {
+        return this.apiPrefixes.some(prefix => pathname === prefix || pathname.startsWith(`${prefix}/`));
+    }
+
+    /**
+     * Routes whose path matches, with their decoded parameters.
+     * Static paths win over parameterized ones (/webhooks/dead-letters before /webhooks/:id).
+     */
+    match(pathname) {
+        const matches = [];
+        for (const route of this.routes) {
+            const m = route.regex.exec(pathname);
+            if (!m) continue;
+            let params;
+            try {
+                params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(m[i + 1])]));
+            } catch {
+                continue;
+            }
+            matches.push({ route, params });
+        }
+        const exact = matches.filter(({ route }) => route.names.length === 0);
+        return exact.length > 0 ? exact : matches;
+    }
+
+    /**
+     * Handle a request. Returns false if the path is not an API path.
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {URL} url - Request URL with the ingress prefix already stripped
+     */
+    async handle(req, res, url) {
+        const matches = this.match(url.pathname);
+        if (matches.length === 0) {
+            if (!this.isApiPath(url.pathname)) return false;
+            sendJson(res, { error: `Not found: ${url.pathname}` }, 404);
+            return true;
+        }
+
+        const methods = new Set(matches.map(({ route }) => route.method));
+        if (methods.has('GET')) methods.add('HEAD');
+        methods.add('OPTIONS');
+        const allow = [...methods].join(', ');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { 'Allow': allow });
+            res.end();
+            return true;
+        }
+
+        // HEAD runs the GET handler; Node drops the body
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        const found = matches.find(({ route }) => route.method === method);
+        if (!found) {
+            sendJson(res, { error: `Method ${req.method} not allowed` }, 405, { 'Allow': allow });
+            return true;
+        }
+
+        const { route, params } = found;
+        let body = {};
+        if (BODY_METHODS.has(method)) {
+            try {
+                body = await parseBody(req);
+            } catch (err) {
+                sendJson(res, { error: err.message, code: 'invalid_request' }, 400);
+                return true;
+            }
+            const errors = validate(route.body, body);
+            if (errors.length > 0) {
+                sendJson(res, { error: errors.join('; '), code: 'invalid_request' }, 400);
+                return true;
+            }
+        }
+
+        try {
+            const result = await route.handler({
+                req,
+                res,
+                params,
+                query: url.searchParams,
+                body
+            });
+            if (result !== undefined && !res.headersSent) sendJson(res, result);
+        } catch (err) {
+            const error = toBridgeError(err);
+            console.error(`API error: ${error.code} ${error.message}`);
+            if (!res.headersSent) sendJson(res, { error: error.message, code: error.code }, httpStatus(error.code));
+        }
+        return true;
+    }
+}
+
+module.exports = {
+    Router,
+    stripIngressPrefix,
+    sendJson,
+    parseBody
+};
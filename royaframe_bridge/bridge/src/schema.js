@@ -0,0 +1,100 @@
+/**
+ * Minimal JSON Schema validation for request bodies and messages.
+ * Supports the subset the bridge uses: type, properties, required, additionalProperties,
+ * items, minItems, maxItems, const, enum, minimum, maximum, minLength, maxLength and pattern.
+ * Schemas stay plain JSON Schema so they can be published as-is.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - Name used in error messages
+ * @returns {string[]} Error messages; empty when valid
+ */
+function validate(schema, value, path = 'body') {
+    if (!schema) return [];
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path} must be ${types.join(' or ')}`];
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validate(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        }
+        const properties = schema.properties || {};
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validate(properties[key], item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate
+};
@@ -10,7 +10,23 @@ const path = require('path');
 const ha = require('./ha');
 const haWS = require('./haWebSocket');
 const wsServer = require('./wsServer');
+const sseServer = require('./sseServer');
 const relay = require('./relay');
+const exposurePolicy = require('./exposure');
+const serviceRules = require('./serviceRules');
+const pinGuard = require('./pinGuard');
+const updateFilter = require('./updateFilter');
+const stateStream = require('./stateStream');
+const registry = require('./registry');
+const history = require('./history');
+const webhooks = require('./webhooks');
+const localAuth = require('./localAuth');
+const { authorizeServiceCall } = require('./serviceAuth');
+const { httpStatus, toBridgeError } = require('./errors');
+const { Router, stripIngressPrefix, sendJson } = require('./router');
+const { buildOpenApi } = require('./openapi');
+const { getProtocolSchema } = require('./protocol');
+const { version } = require('../package.json');
 
 const PORT = 8099; // Must match ingress_port in config.yaml
 console.log(`[env] RELAY_URL=${process.env.RELAY_URL}`);
@@ -86,192 +102,471 @@ function serveStatic(res, filePath) {
     });
 }
 
+const PIN_SCHEMA = { type: ['string', 'integer'] };
+
+const SERVICE_CALL_SCHEMA = {
+    type: 'object',
+    properties: {
+        data: { type: 'object' },
+        service_data: { type: 'object' },
+        target: { type: 'object' },
+        return_response: { type: 'boolean' },
+        pin: PIN_SCHEMA
+    }
+};
+
+const HISTORY_PARAMS = {
+    entity_id: { type: 'string', description: 'Entity IDs, comma separated (required for history)' },
+    start_time: { type: 'string', description: 'ISO 8601 time, default end_time minus hours' },
+    end_time: { type: 'string', description: 'ISO 8601 time, default now' },
+    hours: { type: 'number', description: 'Window length when start_time is omitted (default 24, max 744)' }
+};
+
+const WEBHOOK_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        url: { type: 'string', description: 'http(s) URL that receives the POSTs' },
+        entities: { type: 'array', items: { type: 'string' }, description: 'Selectors; empty sends every change' },
+        secret: { type: 'string', minLength: 16, description: 'HMAC key; generated when omitted' },
+        enabled: { type: 'boolean' }
+    }
+};
+
+const SERVICE_RULES_SCHEMA = {
+    type: 'object',
+    properties: {
+        default_action: { type: 'string' },
+        rules: { type: 'array', items: { type: 'object' } }
+    }
+};
+
 /**
- * Send JSON response
+ * Simplified entity for /ha/entities
  */
-function sendJson(res, data, status = 200) {
-    res.writeHead(status, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(data));
+function toEntitySummary(entity) {
+    return {
+        entity_id: entity.entity_id,
+        state: entity.state,
+        friendly_name: entity.attributes?.friendly_name || entity.entity_id,
+        ...registry.getEntityPlacement(entity.entity_id)
+    };
 }
 
 /**
- * Parse JSON body from request
+ * Parse history/logbook query parameters, replying 400 on bad input
+ * @returns {object|null} Parsed query, or null if a response was sent
  */
-function parseBody(req) {
-    return new Promise((resolve, reject) => {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                resolve(body ? JSON.parse(body) : {});
-            } catch (e) {
-                reject(new Error('Invalid JSON'));
-            }
-        });
-        req.on('error', reject);
+function parseHistoryQuery(res, searchParams, requireEntity) {
+    try {
+        const query = history.parseQuery(Object.fromEntries(searchParams));
+        if (requireEntity && query.entityIds.length === 0) {
+            throw new Error('entity_id is required');
+        }
+        return query;
+    } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+        return null;
+    }
+}
+
+/**
+ * POST /ha/services/:domain/:service with { data, target, return_response, pin }.
+ * Subject to the service rules and action PIN, like relay calls.
+ */
+async function handleServiceCall({ req, res, params, body }) {
+    const { domain, service } = params;
+    if (!/^[a-z0-9_]+$/.test(domain) || !/^[a-z0-9_]+$/.test(service)) {
+        sendJson(res, { error: 'Invalid domain or service' }, 400);
+        return;
+    }
+
+    const serviceData = body.data || body.service_data || {};
+    const target = body.target || {};
+    const auth = await authorizeServiceCall(
+        { domain, service, serviceData, target, pin: body.pin },
+        { client: `http:${localAuth.clientAddress(req)}` }
+    );
+    if (!auth.ok) {
+        const { ok, code, message, ...details } = auth;
+        console.warn(`[royaframe_bridge] Rejected service call ${domain}.${service}: ${code} (${message})`);
+        sendJson(res, { error: message, code, ...details }, httpStatus(code));
+        return;
+    }
+
+    const result = await haWS.callService(domain, service, serviceData, target, {
+        returnResponse: body.return_response === true
     });
+    return { success: true, result };
 }
 
+// API routes; other paths under these prefixes get a JSON 404
+// Every path under these prefixes needs Ingress or credentials (localAuth.js)
+const router = new Router(['/health', '/ha', '/ws', '/events', '/relay', '/webhooks', '/auth']);
+
+router.get('/health', async () => {
+    // Fetch worker status with short timeout (best-effort)
+    const workerStatus = await fetchWorkerStatus(2000);
+    return {
+        status: 'ok',
+        service: 'royaframe-bridge',
+        version: '1.1.0',
+        timestamp: new Date().toISOString(),
+        ha_connected: haWS.isConnected(),
+        ws_clients: wsServer.getClientCount(),
+        relay: relay.getStatus(),
+        relayWorkerStatus: workerStatus
+    };
+}, { summary: 'Bridge health status with WebSocket info' });
+
+router.get('/ha/info', async () => {
+    const config = await ha.getConfig();
+    return {
+        location_name: config.location_name,
+        version: config.version,
+        unit_system: config.unit_system,
+        time_zone: config.time_zone
+    };
+}, { summary: 'Home Assistant configuration info' });
+
+router.get('/ha/entities', async () => {
+    // Serve from the HA WebSocket state mirror, fall back to REST while it is not loaded
+    const states = haWS.hasStates() ? haWS.getAllStates() : await ha.getStates();
+    return { entities: states.map(toEntitySummary) };
+}, { summary: 'All entities with state, area and device' });
+
+router.get('/ha/entities/:entity_id', async ({ res, params }) => {
+    if (!haWS.hasStates()) {
+        sendJson(res, { error: 'Entity states not loaded yet' }, 503);
+        return;
+    }
+    const state = haWS.getState(params.entity_id);
+    if (!state) {
+        sendJson(res, { error: `Unknown entity: ${params.entity_id}` }, 404);
+        return;
+    }
+    return { ...state, ...registry.getEntityPlacement(state.entity_id) };
+}, { summary: 'Full state of one entity', errors: { 503: 'Entity states not loaded yet' } });
+
+router.get('/ha/areas', () => ({
+    loaded: registry.isLoaded(),
+    floors: registry.getFloors(),
+    areas: registry.getAreas()
+}), { summary: 'Floors and areas' });
+
+router.get('/ha/devices', () => ({ loaded: registry.isLoaded(), devices: registry.getDevices() }), {
+    summary: 'Devices with manufacturer, model and area'
+});
+
+router.get('/ha/registry', () => ({ loaded: registry.isLoaded(), ...registry.getRegistry() }), {
+    summary: 'Floors, areas, devices and entity registry entries'
+});
+
+router.get('/ha/history', async ({ res, query }) => {
+    const parsed = parseHistoryQuery(res, query, true);
+    if (parsed) return history.getHistory(parsed);
+}, {
+    summary: 'State history, optionally downsampled',
+    query: { ...HISTORY_PARAMS, points: { type: 'integer', minimum: 1, maximum: 1000, description: 'Downsample each entity to at most this many points' } }
+});
+
+router.get('/ha/logbook', async ({ res, query }) => {
+    const parsed = parseHistoryQuery(res, query, false);
+    if (parsed) return history.getLogbook(parsed);
+}, {
+    summary: 'Logbook entries, newest last',
+    query: { ...HISTORY_PARAMS, limit: { type: 'integer', minimum: 1, maximum: 1000, description: 'Newest N entries (default 100)' } }
+});
+
+router.get('/ha/services', async ({ query }) => {
+    // Catalogue with field schemas; REST fallback while the WebSocket is down
+    let services = haWS.isConnected()
+        ? await haWS.request({ type: 'get_services' })
+        : await ha.getServices();
+    const domain = query.get('domain');
+    if (domain) services = { [domain]: services[domain] || {} };
+    return { services };
+}, {
+    summary: 'Service catalogue with field schemas',
+    query: { domain: { type: 'string', description: 'Only this domain' } }
+});
+
+router.post('/ha/services/:domain/:service', handleServiceCall, {
+    summary: 'Call a service (service rules and action PIN apply)',
+    body: SERVICE_CALL_SCHEMA,
+    errors: {
+        401: 'Action PIN required or wrong (pin_required, pin_invalid)',
+        403: 'Blocked by the service rules (forbidden)',
+        429: 'Too many wrong PINs (pin_locked)'
+    }
+});
+
+router.get('/ha/status', async () => {
+    const status = await ha.checkConnection();
+    return {
+        ...status,
+        ws_connected: haWS.isConnected()
+    };
+}, { summary: 'Home Assistant connection status' });
+
+router.get('/ws/status', () => ({
+    ha_connected: haWS.isConnected(),
+    clients: wsServer.getClientCount(),
+    sse_clients: sseServer.getClientCount(),
+    event_subscriptions: haWS.getEventSubscriptionStatus(),
+    update_filter: updateFilter.getStatus()
+}), { summary: 'WebSocket and SSE clients, event subscription and update filter status' });
+
+router.get('/events', (ctx) => sseServer.handle(ctx), {
+    summary: 'Server-Sent Events stream of state_changed and connection_status messages',
+    contentType: 'text/event-stream',
+    query: {
+        entities: { type: 'string', description: 'Entity IDs, domains, globs or area:<name>, comma separated' },
+        last_event_id: { type: 'string', description: 'Resume after this event id (same as the Last-Event-ID header)' }
+    }
+});
+
+router.get('/relay/status', async () => {
+    const workerStatus = await fetchWorkerStatus(2000);
+    return { ...relay.getStatus(), worker_status: workerStatus };
+}, { summary: 'Relay status (pair code, agent id, connection state, worker status)' });
+
+router.get('/relay/worker-status', () => fetchWorkerStatus(5000), {
+    summary: 'Status reported by the relay worker'
+});
+
+router.get('/relay/exposure', () => exposurePolicy.getStatus(), {
+    summary: 'Active entity exposure policy'
+});
+
 /**
- * Handle API routes
+ * Relay settings, the action PIN, API keys and webhooks are managed from the add-on UI only, not with an API key or HA token
  */
-async function handleApi(req, res) {
-    const url = new URL(req.url, `http://localhost:${PORT}`);
-    const pathname = url.pathname;
+function requireIngress(req, res, what) {
+    if (req.auth?.via === 'ingress') return true;
+    sendJson(res, { error: `${what} can only be managed from the add-on UI`, code: 'forbidden' }, 403);
+    return false;
+}
+
+router.get('/relay/service-rules', () => serviceRules.getStatus(), {
+    summary: 'Remote service-call rules'
+});
 
+router.post('/relay/service-rules', ({ req, res, body }) => {
+    if (!requireIngress(req, res, 'Service rules')) return;
     try {
-        switch (pathname) {
-            case '/health': {
-                // Fetch worker status with short timeout (best-effort)
-                const workerStatus = await fetchWorkerStatus(2000);
-                sendJson(res, {
-                    status: 'ok',
-                    service: 'royaframe-bridge',
-                    version: '1.1.0',
-                    timestamp: new Date().toISOString(),
-                    ha_connected: haWS.isConnected(),
-                    ws_clients: wsServer.getClientCount(),
-                    relay: relay.getStatus(),
-                    relayWorkerStatus: workerStatus
-                });
-                break;
-            }
-
-            case '/ha/info':
-                const config = await ha.getConfig();
-                sendJson(res, {
-                    location_name: config.location_name,
-                    version: config.version,
-                    unit_system: config.unit_system,
-                    time_zone: config.time_zone
-                });
-                break;
-
-            case '/ha/entities':
-                const states = await ha.getStates();
-                // Return simplified entity list
-                const entities = states.map(entity => ({
-                    entity_id: entity.entity_id,
-                    state: entity.state,
-                    friendly_name: entity.attributes?.friendly_name || entity.entity_id
-                }));
-                sendJson(res, { entities });
-                break;
-
-            case '/ha/status':
-                const status = await ha.checkConnection();
-                sendJson(res, {
-                    ...status,
-                    ws_connected: haWS.isConnected()
-                });
-                break;
-
-            case '/ws/status':
-                sendJson(res, {
-                    ha_connected: haWS.isConnected(),
-                    clients: wsServer.getClientCount()
-                });
-                break;
-
-            case '/relay/status':
-                const workerStatus = await fetchWorkerStatus(2000);
-                sendJson(res, { ...relay.getStatus(), worker_status: workerStatus });
-                break;
-
-            case '/relay/worker-status': {
-                const workerResult = await fetchWorkerStatus(5000);
-                sendJson(res, workerResult);
-                break;
-            }
-
-            case '/relay/pair':
-                if (req.method !== 'POST') {
-                    sendJson(res, { error: 'Method not allowed' }, 405);
-                    break;
-                }
-                const body = await parseBody(req);
-
-                // Regenerate pair code unless a specific valid code is provided
-                if (body.pair_code) {
-                    const ok = relay.setPairCode(body.pair_code);
-                    if (!ok) {
-                        sendJson(res, { error: 'Invalid pair_code (expected 6 hex chars)' }, 400);
-                        break;
-                    }
-                } else {
-                    relay.regeneratePairCode();
-                }
-
-                // Start relay connection
-                const started = await relay.start();
-
-                sendJson(res, {
-                    success: started,
-                    pair_code: relay.getPairCode(),
-                    status: relay.getStatus()
-                });
-                break;
-
-            case '/relay/regenerate-code':
-                if (req.method !== 'POST') {
-                    sendJson(res, { error: 'Method not allowed' }, 405);
-                    break;
-                }
-                relay.regeneratePairCode();
-                await relay.start();
-                sendJson(res, { pair_code: relay.getPairCode(), status: relay.getStatus() });
-                break;
-
-            case '/relay/stop':
-                if (req.method !== 'POST') {
-                    sendJson(res, { error: 'Method not allowed' }, 405);
-                    break;
-                }
-                relay.stop();
-                sendJson(res, { success: true, status: relay.getStatus() });
-                break;
-
-            default:
-                // Not an API route
-                return false;
+        serviceRules.update(body);
+    } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+        return;
+    }
+    return serviceRules.getStatus();
+}, { summary: 'Replace the remote service-call rules (Ingress only)', body: SERVICE_RULES_SCHEMA, errors: { 403: 'Not through Ingress' } });
+
+router.post('/relay/service-rules/reset', ({ req, res }) => {
+    if (!requireIngress(req, res, 'Service rules')) return;
+    serviceRules.reset();
+    return serviceRules.getStatus();
+}, { summary: 'Restore the default service-call rules (Ingress only)', errors: { 403: 'Not through Ingress' } });
+
+router.get('/relay/pin', () => pinGuard.getStatus(), { summary: 'Action PIN status' });
+
+router.post('/relay/pin', async ({ req, res, body }) => {
+    if (!requireIngress(req, res, 'The action PIN')) return;
+    if (!await pinGuard.setPin(body.pin)) {
+        sendJson(res, { error: 'Invalid pin (expected 4-12 digits)' }, 400);
+        return;
+    }
+    return pinGuard.getStatus();
+}, {
+    summary: 'Set the action PIN (4-12 digits, Ingress only)',
+    body: { type: 'object', required: ['pin'], properties: { pin: PIN_SCHEMA } },
+    errors: { 403: 'Not through Ingress' }
+});
+
+router.delete('/relay/pin', ({ req, res }) => {
+    if (!requireIngress(req, res, 'The action PIN')) return;
+    pinGuard.clearPin();
+    return pinGuard.getStatus();
+}, { summary: 'Clear the action PIN (Ingress only)', errors: { 403: 'Not through Ingress' } });
+
+router.post('/relay/pair', async ({ req, res, body }) => {
+    if (!requireIngress(req, res, 'The relay')) return;
+    // Regenerate pair code unless a specific valid code is provided
+    if (body.pair_code) {
+        if (!relay.setPairCode(body.pair_code)) {
+            sendJson(res, { error: 'Invalid pair_code (expected 6 hex chars)' }, 400);
+            return;
         }
-        return true;
-    } catch (error) {
-        console.error(`API error: ${error.message}`);
-        sendJson(res, { error: error.message }, 500);
-        return true;
+    } else {
+        relay.regeneratePairCode();
     }
-}
+
+    // Start relay connection
+    const started = await relay.start();
+
+    return {
+        success: started,
+        pair_code: relay.getPairCode(),
+        status: relay.getStatus()
+    };
+}, {
+    summary: 'Regenerate (or set) the pair code and start the relay (Ingress only)',
+    body: { type: 'object', properties: { pair_code: { type: 'string', description: '6 hex chars' } } },
+    errors: { 403: 'Not through Ingress' }
+});
+
+router.post('/relay/regenerate-code', async ({ req, res }) => {
+    if (!requireIngress(req, res, 'The relay')) return;
+    relay.regeneratePairCode();
+    await relay.start();
+    return { pair_code: relay.getPairCode(), status: relay.getStatus() };
+}, { summary: 'Regenerate the pair code (Ingress only)', errors: { 403: 'Not through Ingress' } });
+
+router.post('/relay/stop', ({ req, res }) => {
+    if (!requireIngress(req, res, 'The relay')) return;
+    relay.stop();
+    return { success: true, status: relay.getStatus() };
+}, { summary: 'Stop the relay connection (Ingress only)', errors: { 403: 'Not through Ingress' } });
+
+router.get('/webhooks', ({ req, res }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    return webhooks.getStatus();
+}, { summary: 'Outbound webhooks with delivery stats (Ingress only)', errors: { 403: 'Not through Ingress' } });
+
+router.post('/webhooks', ({ req, res, body }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    try {
+        sendJson(res, webhooks.create(body), 201);
+    } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+    }
+}, {
+    summary: 'Add a webhook; the response includes its secret',
+    body: { ...WEBHOOK_SCHEMA, required: ['url'] },
+    errors: { 403: 'Not through Ingress' }
+});
+
+router.get('/webhooks/dead-letters', ({ req, res }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    return { entries: webhooks.getDeadLetters() };
+}, { summary: 'Deliveries that failed after all retries', errors: { 403: 'Not through Ingress' } });
+
+router.delete('/webhooks/dead-letters', ({ req, res }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    webhooks.clearDeadLetters();
+    return { entries: [] };
+}, { summary: 'Clear the dead-letter log', errors: { 403: 'Not through Ingress' } });
+
+router.put('/webhooks/:id', ({ req, res, params, body }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    let webhook;
+    try {
+        webhook = webhooks.update(params.id, body);
+    } catch (err) {
+        sendJson(res, { error: err.message }, 400);
+        return;
+    }
+    if (!webhook) {
+        sendJson(res, { error: `Unknown webhook: ${params.id}` }, 404);
+        return;
+    }
+    return webhook;
+}, { summary: 'Change a webhook (omitted fields are kept)', body: WEBHOOK_SCHEMA, errors: { 403: 'Not through Ingress' } });
+
+router.delete('/webhooks/:id', ({ req, res, params }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    if (!webhooks.remove(params.id)) {
+        sendJson(res, { error: `Unknown webhook: ${params.id}` }, 404);
+        return;
+    }
+    return { success: true };
+}, { summary: 'Remove a webhook', errors: { 403: 'Not through Ingress' } });
+
+router.post('/webhooks/:id/test', async ({ req, res, params }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    const result = await webhooks.test(params.id);
+    if (!result) {
+        sendJson(res, { error: `Unknown webhook: ${params.id}` }, 404);
+        return;
+    }
+    return result;
+}, { summary: 'Send a signed ping delivery now and report the outcome', errors: { 403: 'Not through Ingress' } });
+
+router.post('/webhooks/:id/rotate-secret', ({ req, res, params }) => {
+    if (!requireIngress(req, res, 'Webhooks')) return;
+    const secret = webhooks.rotateSecret(params.id);
+    if (!secret) {
+        sendJson(res, { error: `Unknown webhook: ${params.id}` }, 404);
+        return;
+    }
+    return { secret };
+}, { summary: 'Replace the signing secret', errors: { 403: 'Not through Ingress' } });
+
+router.get('/auth/keys', ({ req, res }) => {
+    if (!requireIngress(req, res, 'API keys')) return;
+    return { keys: localAuth.getKeys() };
+}, { summary: 'API keys for direct access (Ingress only)', errors: { 403: 'Not through Ingress' } });
+
+router.post('/auth/keys', ({ req, res, body }) => {
+    if (!requireIngress(req, res, 'API keys')) return;
+    sendJson(res, localAuth.createKey(body.name), 201);
+}, {
+    summary: 'Issue an API key; the response holds the key, which is not shown again',
+    body: {
+        type: 'object',
+        properties: { name: { type: 'string', maxLength: 64 } },
+        additionalProperties: false
+    },
+    errors: { 403: 'Not through Ingress', 429: 'Too many API keys' }
+});
+
+router.delete('/auth/keys/:id', ({ req, res, params }) => {
+    if (!requireIngress(req, res, 'API keys')) return;
+    if (!localAuth.revokeKey(params.id)) {
+        sendJson(res, { error: `Unknown API key: ${params.id}`, code: 'not_found' }, 404);
+        return;
+    }
+    return { success: true };
+}, { summary: 'Revoke an API key', errors: { 403: 'Not through Ingress' } });
+
+// Machine-readable descriptions of this API and the /ws and relay messages
+router.get('/openapi.json', () => buildOpenApi(router, {
+    title: 'RoyaFrame Bridge API',
+    version,
+    description: 'Local HTTP API of the RoyaFrame Home Assistant bridge. WebSocket messages: /protocol.json'
+}), { summary: 'This OpenAPI description' });
+
+router.get('/protocol.json', () => getProtocolSchema(), {
+    summary: 'JSON Schemas of the /ws and relay message types'
+});
 
 /**
  * Main request handler
  */
 async function requestHandler(req, res) {
     const url = new URL(req.url, `http://localhost:${PORT}`);
-    let pathname = url.pathname;
-
-    // Handle Ingress path prefix - HA strips it but some requests may include it
-    // The ingress path is typically /api/hassio_ingress/<token>/
-    if (pathname.includes('/api/hassio_ingress/')) {
-        const parts = pathname.split('/');
-        const ingressIndex = parts.findIndex(p => p === 'hassio_ingress');
-        if (ingressIndex !== -1 && parts.length > ingressIndex + 2) {
-            pathname = '/' + parts.slice(ingressIndex + 2).join('/');
-        }
-    }
+    // HA strips the Ingress path prefix, but some requests may still include it
+    url.pathname = stripIngressPrefix(url.pathname);
+    const pathname = url.pathname;
 
     console.log(`${req.method} ${pathname}`);
 
-    // Try API routes first (temporarily normalize the URL for routing)
-    const originalUrl = req.url;
-    req.url = pathname + url.search;
-    let isApi;
-    try {
-        isApi = await handleApi(req, res);
-    } finally {
-        req.url = originalUrl;
+    // Direct (non-Ingress) API access needs credentials
+    if (router.isApiPath(pathname)) {
+        try {
+            req.auth = await localAuth.authenticate(req, url);
+        } catch (err) {
+            const { code, message, details } = toBridgeError(err);
+            const headers = code === 'unauthorized' ? { 'WWW-Authenticate': 'Bearer realm="RoyaFrame Bridge"' } : {};
+            if (details.retry_after) headers['Retry-After'] = String(details.retry_after);
+            sendJson(res, { error: message, code, ...details }, httpStatus(code), headers);
+            return;
+        }
     }
-    if (isApi) return;
+
+    // Try API routes first
+    if (await router.handle(req, res, url)) return;
 
     // Serve static files for everything else
     serveStatic(res, pathname);
@@ -291,9 +586,16 @@ relay.start().catch((err) => {
     console.error(`[relay] Failed to start: ${err.message}`);
 });
 
-// Forward state changes to relay if connected
-haWS.on('state_changed', (data) => {
-    relay.forwardStateChange(data);
+// Forward (throttled, sequenced) state changes to relay if connected
+stateStream.on('state_changed', (data, seq) => {
+    relay.forwardStateChange(data, seq);
+});
+
+// Tell remote viewers when Home Assistant goes away and resync them when it is back
+haWS.on('disconnected', () => relay.notifyHaUnavailable());
+haWS.on('states_loaded', () => relay.notifyHaAvailable());
+relay.on('registered', () => {
+    if (!haWS.hasStates()) relay.send({ type: 'ha_unavailable' });
 });
 
 server.listen(PORT, '0.0.0.0', () => {
@@ -307,5 +609,7 @@ process.on('SIGTERM', () => {
     relay.stop();
     haWS.close();
     wsServer.close();
+    sseServer.close();
+    webhooks.flushDeadLetters();
     server.close(() => process.exit(0));
 });
@@ -0,0 +1,46 @@
+/**
+ * Service call authorization shared by the relay, /ws and the REST API.
+ * Checks run in order: exposure policy (relay only), service rules, action PIN.
+ */
+
+const exposurePolicy = require('./exposure');
+const serviceRules = require('./serviceRules');
+const pinGuard = require('./pinGuard');
+
+/**
+ * @param {object} call - { domain, service, serviceData, target, pin }
+ * @param {object} [options]
+ * @param {boolean} [options.checkExposure] - Reject targets hidden by the exposure policy
+ * @param {string} [options.client] - Caller, for per-client PIN lockouts
+ * @param {string} [options.connection] - Connection the caller uses, for per-connection PIN lockouts
+ * @returns {Promise<{ ok: true } | { ok: false, code: string, message: string, retry_after?: number, attempts_left?: number }>}
+ */
+async function authorizeServiceCall({ domain, service, serviceData = {}, target = {}, pin }, { checkExposure = false, client, connection } = {}) {
+    if (typeof domain !== 'string' || !domain || typeof service !== 'string' || !service) {
+        return { ok: false, code: 'invalid_request', message: 'Missing domain or service' };
+    }
+
+    if (checkExposure) {
+        const exposure = exposurePolicy.checkServiceTargets(serviceData, target);
+        if (!exposure.allowed) {
+            return { ok: false, code: 'forbidden', message: exposure.reason };
+        }
+    }
+
+    const decision = serviceRules.evaluate(domain, service, serviceData, target);
+    if (!decision.allowed) {
+        return { ok: false, code: 'forbidden', message: decision.reason };
+    }
+
+    if (decision.requiresPin) {
+        // { ok: false, code: pin_required | pin_invalid | pin_locked | forbidden, ... } on failure
+        const pinCheck = await pinGuard.verify(pin, client, connection);
+        if (!pinCheck.ok) return pinCheck;
+    }
+
+    return { ok: true };
+}
+
+module.exports = {
+    authorizeServiceCall
+};
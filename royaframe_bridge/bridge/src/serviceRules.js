@@ -0,0 +1,294 @@
+/**
+ * Service-call authorization rules for remote commands.
+ * Rules are evaluated in order; the first rule matching domain, service and target entity wins.
+ *
+ * Stored in /data/royaframe_service_rules.json:
+ *   {
+ *     "default_action": "allow",
+ *     "rules": [
+ *       { "domain": "lock", "service": "unlock", "entity": "lock.front_door", "action": "pin" },
+ *       { "domain": "lock", "service": "*", "entity": "*", "action": "deny" },
+ *       { "domain": "light", "service": "turn_*", "entity": "light.kitchen_*", "action": "allow" }
+ *     ]
+ *   }
+ * domain, service and entity accept * and ? wildcards. The "pin" action allows the call
+ * only when the viewer sends the bridge PIN (see pinGuard.js).
+ *
+ * Area, device, floor and label targets are expanded to their entities through the HA
+ * registries. A target that cannot be expanded (unknown id, registries not loaded yet,
+ * entity_id "all") gets the strictest action any rule for the service could give it.
+ *
+ * homeassistant.turn_on/turn_off/toggle run the target entity's own domain service, so
+ * they are also checked as that service (homeassistant.turn_on on cover.garage is checked
+ * as cover.open_cover on cover.garage).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./registry');
+const { globToRegExp, splitEntityId, extractServiceTargets } = require('./entityMatch');
+
+const SERVICE_RULES_PATH = process.env.SERVICE_RULES_PATH || '/data/royaframe_service_rules.json';
+
+// Ordered from least to most strict
+const ACTIONS = ['allow', 'pin', 'deny'];
+
+// Domains and services that can open the house, run arbitrary code or take HA down
+const DEFAULT_RULES = [
+    { domain: 'lock', service: 'unlock', entity: '*', action: 'pin' },
+    { domain: 'lock', service: 'open', entity: '*', action: 'pin' },
+    { domain: 'alarm_control_panel', service: 'alarm_disarm', entity: '*', action: 'pin' },
+    { domain: 'cover', service: '*', entity: 'cover.garage*', action: 'pin' },
+    { domain: 'lock', service: '*', entity: '*', action: 'deny' },
+    { domain: 'alarm_control_panel', service: '*', entity: '*', action: 'deny' },
+    { domain: 'hassio', service: '*', entity: '*', action: 'deny' },
+    { domain: 'shell_command', service: '*', entity: '*', action: 'deny' },
+    { domain: 'python_script', service: '*', entity: '*', action: 'deny' },
+    { domain: 'pyscript', service: '*', entity: '*', action: 'deny' },
+    { domain: 'rest_command', service: '*', entity: '*', action: 'deny' },
+    { domain: 'backup', service: '*', entity: '*', action: 'deny' },
+    { domain: 'recorder', service: '*', entity: '*', action: 'deny' },
+    { domain: 'logger', service: '*', entity: '*', action: 'deny' },
+    { domain: 'system_log', service: '*', entity: '*', action: 'deny' },
+    { domain: 'homeassistant', service: 'restart', entity: '*', action: 'deny' },
+    { domain: 'homeassistant', service: 'stop', entity: '*', action: 'deny' },
+    { domain: 'homeassistant', service: 'reload_*', entity: '*', action: 'deny' },
+    { domain: 'homeassistant', service: 'set_location', entity: '*', action: 'deny' }
+];
+
+const DEFAULT_ACTION = 'allow';
+
+// homeassistant.* services HA forwards to each target's domain, and where the name differs
+const GENERIC_SERVICES = ['turn_on', 'turn_off', 'toggle'];
+const FORWARDED_SERVICES = {
+    cover: { turn_on: 'open_cover', turn_off: 'close_cover' },
+    valve: { turn_on: 'open_valve', turn_off: 'close_valve' }
+};
+
+function forwardedService(domain, service) {
+    return FORWARDED_SERVICES[domain]?.[service] || service;
+}
+
+function stricter(a, b) {
+    return ACTIONS.indexOf(b.action) > ACTIONS.indexOf(a.action) ? b : a;
+}
+
+/**
+ * Validate and normalize a single rule. Throws on invalid input.
+ */
+function normalizeRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Rule ${index + 1}: must be an object`);
+    }
+    const domain = typeof rule.domain === 'string' ? rule.domain.trim().toLowerCase() : '';
+    if (!domain) {
+        throw new Error(`Rule ${index + 1}: domain is required`);
+    }
+    const action = typeof rule.action === 'string' ? rule.action.trim().toLowerCase() : '';
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Rule ${index + 1}: action must be one of ${ACTIONS.join(', ')}`);
+    }
+    const service = typeof rule.service === 'string' && rule.service.trim()
+        ? rule.service.trim().toLowerCase()
+        : '*';
+    const entity = typeof rule.entity === 'string' && rule.entity.trim()
+        ? rule.entity.trim().toLowerCase()
+        : '*';
+    return { domain, service, entity, action };
+}
+
+function compileRule(rule) {
+    return {
+        ...rule,
+        domainRe: globToRegExp(rule.domain),
+        serviceRe: globToRegExp(rule.service),
+        entityRe: rule.entity === '*' ? null : globToRegExp(rule.entity)
+    };
+}
+
+class ServiceRules {
+    constructor(storagePath = SERVICE_RULES_PATH) {
+        this.storagePath = storagePath;
+        this.defaultAction = DEFAULT_ACTION;
+        this.rules = [];
+        this.compiled = [];
+        this.source = 'defaults';
+        this.load();
+    }
+
+    load() {
+        let data = null;
+        if (fs.existsSync(this.storagePath)) {
+            try {
+                data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+            } catch (err) {
+                console.error(`[rules] Failed to parse service rules file, using defaults: ${err.message}`);
+            }
+        }
+
+        try {
+            if (data) {
+                this.apply(data);
+                this.source = 'file';
+            } else {
+                this.apply({ default_action: DEFAULT_ACTION, rules: DEFAULT_RULES });
+                this.source = 'defaults';
+            }
+        } catch (err) {
+            console.error(`[rules] Invalid service rules file, using defaults: ${err.message}`);
+            this.apply({ default_action: DEFAULT_ACTION, rules: DEFAULT_RULES });
+            this.source = 'defaults';
+        }
+        console.log(`[rules] ${this.rules.length} service rules loaded from ${this.source}, default_action=${this.defaultAction}`);
+    }
+
+    /**
+     * Validate and activate a rule set (does not persist)
+     */
+    apply(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.rules)) {
+            throw new Error('rules must be an array');
+        }
+        const defaultAction = data.default_action === undefined ? DEFAULT_ACTION : data.default_action;
+        if (!ACTIONS.includes(defaultAction)) {
+            throw new Error(`default_action must be one of ${ACTIONS.join(', ')}`);
+        }
+        const rules = data.rules.map(normalizeRule);
+        this.defaultAction = defaultAction;
+        this.rules = rules;
+        this.compiled = rules.map(compileRule);
+    }
+
+    save() {
+        const dir = path.dirname(this.storagePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(this.storagePath, JSON.stringify(this.getConfig(), null, 2), { mode: 0o600 });
+        this.source = 'file';
+    }
+
+    /**
+     * Replace the rule set and persist it. Throws on invalid input.
+     */
+    update(data) {
+        this.apply(data);
+        this.save();
+        console.log(`[rules] Service rules updated: ${this.rules.length} rules, default_action=${this.defaultAction}`);
+    }
+
+    reset() {
+        this.apply({ default_action: DEFAULT_ACTION, rules: DEFAULT_RULES });
+        if (fs.existsSync(this.storagePath)) {
+            fs.unlinkSync(this.storagePath);
+        }
+        this.source = 'defaults';
+        console.log('[rules] Service rules reset to defaults');
+    }
+
+    /**
+     * Find the action for one domain/service/entity combination.
+     * A null entity (no entity target) only matches rules with entity "*".
+     */
+    actionFor(domain, service, entityId) {
+        for (const rule of this.compiled) {
+            if (!rule.domainRe.test(domain)) continue;
+            if (!rule.serviceRe.test(service)) continue;
+            if (rule.entityRe && (!entityId || !rule.entityRe.test(entityId))) continue;
+            return { action: rule.action, rule };
+        }
+        return { action: this.defaultAction, rule: null };
+    }
+
+    /**
+     * Strictest action a domain/service call could get for an entity we cannot name.
+     * Considers every rule up to the first one that matches any entity. A null domain
+     * (a generic homeassistant.* service) considers the rules of every domain.
+     */
+    strictestActionFor(domain, service) {
+        let strictest = { action: this.defaultAction, rule: null };
+        for (const rule of this.compiled) {
+            if (domain !== null && !rule.domainRe.test(domain)) continue;
+            if (!rule.serviceRe.test(service)) continue;
+            if (rule.entityRe || domain === null) {
+                strictest = stricter(strictest, { action: rule.action, rule });
+                continue;
+            }
+            return stricter(strictest, { action: rule.action, rule });
+        }
+        return strictest;
+    }
+
+    /**
+     * Action for one target entity, including the domain service a generic call runs
+     */
+    checkEntity(domain, service, entityId) {
+        const result = this.actionFor(domain, service, entityId);
+        if (domain !== 'homeassistant' || !GENERIC_SERVICES.includes(service) || !entityId) return result;
+        const { domain: entityDomain } = splitEntityId(entityId);
+        if (!entityDomain) return result;
+        return stricter(result, this.actionFor(entityDomain, forwardedService(entityDomain, service), entityId));
+    }
+
+    /**
+     * Action for a target that could not be expanded to entities
+     */
+    checkUnresolved(domain, service) {
+        let result = this.strictestActionFor(domain, service);
+        if (domain !== 'homeassistant' || !GENERIC_SERVICES.includes(service)) return result;
+        const services = new Set([service, ...Object.values(FORWARDED_SERVICES).map(map => map[service]).filter(Boolean)]);
+        for (const forwarded of services) {
+            result = stricter(result, this.strictestActionFor(null, forwarded));
+        }
+        return result;
+    }
+
+    /**
+     * Decide whether a service call is allowed.
+     * Every targeted entity must be allowed; deny beats pin, pin beats allow.
+     * @returns {{ allowed: boolean, requiresPin?: boolean, reason?: string }}
+     */
+    evaluate(domain, service, serviceData, target) {
+        const d = String(domain || '').toLowerCase();
+        const s = String(service || '').toLowerCase();
+        const { entityIds, otherTargetIds } = extractServiceTargets(serviceData, target);
+        const resolved = registry.resolveTargets(otherTargetIds);
+        const unresolved = resolved.unresolved;
+        const candidates = [];
+        for (const entityId of new Set([...entityIds, ...resolved.entityIds].map(id => id.toLowerCase()))) {
+            if (entityId === 'all') unresolved.push('entity_id:all');
+            else candidates.push(entityId);
+        }
+        if (candidates.length === 0 && unresolved.length === 0) candidates.push(null);
+
+        const checks = [
+            ...candidates.map(entityId => ({ subject: entityId, ...this.checkEntity(d, s, entityId) })),
+            ...unresolved.map(subject => ({ subject, ...this.checkUnresolved(d, s) }))
+        ];
+        let requiresPin = false;
+        for (const { subject, action, rule } of checks) {
+            if (action === 'deny') {
+                const on = subject ? `${d}.${s} on ${subject}` : `${d}.${s}`;
+                const why = rule ? `rule ${rule.domain}.${rule.service} (${rule.entity})` : 'default action';
+                return { allowed: false, reason: `Service call ${on} denied by ${why}` };
+            }
+            if (action === 'pin') requiresPin = true;
+        }
+        return { allowed: true, requiresPin };
+    }
+
+    getConfig() {
+        return {
+            default_action: this.defaultAction,
+            rules: this.rules.map(rule => ({ ...rule }))
+        };
+    }
+
+    getStatus() {
+        return { ...this.getConfig(), source: this.source };
+    }
+}
+
+// Export singleton instance
+const serviceRules = new ServiceRules();
+module.exports = serviceRules;
@@ -0,0 +1,186 @@
+/**
+ * Server-Sent Events stream (GET /events)
+ * Read-only alternative to /ws for EventSource clients and HTTP-only tools. Streams the
+ * same state_changed, states (resync) and connection_status messages as the WebSocket;
+ * each SSE event is named after the message type and carries the message as JSON.
+ *
+ * Query parameters:
+ *   entities       - selectors (comma list or repeated): entity IDs, domains, globs, area:<name>
+ *   last_event_id  - same as the Last-Event-ID header, for clients that cannot set it
+ *
+ * state_changed events have the id "<epoch>:<seq>", so a reconnecting EventSource resumes
+ * from the replay buffer. If that is not possible a resync_required event is sent.
+ */
+
+const haWS = require('./haWebSocket');
+const stateStream = require('./stateStream');
+const registry = require('./registry');
+const { parseSelectors, matchesAny, toEntityIdList } = require('./entityMatch');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+/**
+ * Parse "<epoch>:<seq>" into { epoch, seq }
+ */
+function parseEventId(value) {
+    if (typeof value !== 'string') return null;
+    const [epoch, seq] = value.split(':');
+    if (!epoch || !/^[0-9]+$/.test(seq || '')) return null;
+    return { epoch, seq: Number(seq) };
+}
+
+class SSEServer {
+    constructor() {
+        // res -> parsed selectors (null = every entity)
+        this.clients = new Map();
+        this.heartbeatTimer = null;
+
+        stateStream.on('state_changed', (data, seq) => {
+            this.broadcast({ type: 'state_changed', seq, data }, data.entity_id, `${stateStream.getEpoch()}:${seq}`);
+        });
+
+        stateStream.on('resync', (changes, seq) => this.sendResync(changes, seq));
+
+        haWS.on('connected', () => this.broadcast({ type: 'connection_status', connected: true }));
+        haWS.on('disconnected', () => this.broadcast({ type: 'connection_status', connected: false }));
+    }
+
+    /**
+     * Route handler for GET /events
+     */
+    handle({ req, res, query }) {
+        const list = query.getAll('entities').flatMap(toEntityIdList);
+        const selectors = parseSelectors(list);
+        if (selectors.length !== list.length) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'entities must contain entity IDs, domains, globs or area:<name>' }));
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Stop proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        this.clients.set(res, selectors.length > 0 ? selectors : null);
+        req.on('close', () => this.removeClient(res));
+        res.on('error', () => this.removeClient(res));
+        this.startHeartbeat();
+        console.log(`[sse] Client connected (${this.clients.size} total)`);
+
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        this.send(res, { type: 'connection_status', connected: haWS.isConnected(), ...stateStream.getPosition() });
+
+        const lastEventId = req.headers['last-event-id'] || query.get('last_event_id');
+        if (lastEventId) this.resume(res, lastEventId);
+    }
+
+    /**
+     * Replay changes a reconnecting client missed
+     */
+    resume(res, lastEventId) {
+        const position = parseEventId(lastEventId);
+        const events = position && stateStream.since(position.seq, position.epoch);
+        if (!events) {
+            this.send(res, { type: 'resync_required', ...stateStream.getPosition() });
+            return;
+        }
+        for (const { seq, data } of events) {
+            if (!this.isSubscribed(res, data.entity_id)) continue;
+            this.send(res, { type: 'state_changed', seq, data }, `${stateStream.getEpoch()}:${seq}`);
+        }
+    }
+
+    /**
+     * Push what changed while the bridge was disconnected from HA
+     */
+    sendResync(changes, seq) {
+        for (const res of this.clients.keys()) {
+            const relevant = changes.filter(c => this.isSubscribed(res, c.entity_id));
+            this.send(res, {
+                type: 'states',
+                resync: true,
+                seq,
+                epoch: stateStream.getEpoch(),
+                data: relevant.filter(c => c.new_state).map(c => c.new_state),
+                removed: relevant.filter(c => !c.new_state).map(c => c.entity_id)
+            }, `${stateStream.getEpoch()}:${seq}`);
+        }
+    }
+
+    isSubscribed(res, entityId) {
+        const selectors = this.clients.get(res);
+        if (!selectors) return true;
+        return matchesAny(entityId, selectors, (id) => registry.getAreaKeys(id));
+    }
+
+    /**
+     * Write one SSE event named after the message type
+     */
+    send(res, msg, id) {
+        if (res.writableEnded) return;
+        const idLine = id ? `id: ${id}\n` : '';
+        res.write(`${idLine}event: ${msg.type}\ndata: ${JSON.stringify(msg)}\n\n`);
+    }
+
+    /**
+     * Send a message to every client (subscribed to entityId, if given)
+     */
+    broadcast(msg, entityId, id) {
+        for (const res of this.clients.keys()) {
+            if (entityId && !this.isSubscribed(res, entityId)) continue;
+            this.send(res, msg, id);
+        }
+    }
+
+    /**
+     * Comment lines keep idle connections open through proxies
+     */
+    startHeartbeat() {
+        if (this.heartbeatTimer) return;
+        this.heartbeatTimer = setInterval(() => {
+            for (const res of this.clients.keys()) {
+                if (!res.writableEnded) res.write(': ping\n\n');
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+
+    removeClient(res) {
+        if (!this.clients.delete(res)) return;
+        console.log(`[sse] Client disconnected (${this.clients.size} total)`);
+        if (this.clients.size === 0 && this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    getClientCount() {
+        return this.clients.size;
+    }
+
+    /**
+     * End all streams
+     */
+    close() {
+        for (const res of this.clients.keys()) {
+            res.end();
+        }
+        this.clients.clear();
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+}
+
+// Export singleton instance
+const sseServer = new SSEServer();
+module.exports = sseServer;
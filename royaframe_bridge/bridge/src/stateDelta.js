@@ -0,0 +1,78 @@
+/**
+ * Attribute delta encoding for relay state updates.
+ * Remembers the attributes last sent for each entity and produces frames that carry
+ * only changed and removed attributes, with a periodic full-state checkpoint per entity.
+ */
+
+const CHECKPOINT_INTERVAL_MS = 60 * 1000;
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class DeltaEncoder {
+    constructor(checkpointIntervalMs = CHECKPOINT_INTERVAL_MS) {
+        this.checkpointIntervalMs = checkpointIntervalMs;
+        this.sent = new Map(); // entity_id -> { attributes, checkpointAt }
+    }
+
+    /**
+     * Set the baseline to a full state list (e.g. what was just sent in states_sync)
+     */
+    reset(states = []) {
+        const now = Date.now();
+        this.sent.clear();
+        for (const s of states) {
+            this.sent.set(s.entity_id, { attributes: s.attributes || {}, checkpointAt: now });
+        }
+    }
+
+    clear() {
+        this.sent.clear();
+    }
+
+    /**
+     * Drop an entity from the baseline after it was sent in full elsewhere; its next frame is a checkpoint
+     */
+    forget(entityId) {
+        this.sent.delete(entityId);
+    }
+
+    /**
+     * Encode the attributes of a state change.
+     * @returns {{ attributes: object, checkpoint: true } | { delta: true, attributes_changed: object, attributes_removed: string[] }}
+     */
+    encode(entityId, newState) {
+        const now = Date.now();
+        const attributes = newState?.attributes || {};
+
+        if (!newState) {
+            this.sent.delete(entityId);
+            return { attributes, checkpoint: true };
+        }
+
+        const previous = this.sent.get(entityId);
+        if (!previous || now - previous.checkpointAt >= this.checkpointIntervalMs) {
+            this.sent.set(entityId, { attributes, checkpointAt: now });
+            return { attributes, checkpoint: true };
+        }
+
+        const changed = {};
+        for (const [key, value] of Object.entries(attributes)) {
+            if (!(key in previous.attributes) || !sameValue(previous.attributes[key], value)) {
+                changed[key] = value;
+            }
+        }
+        const removed = Object.keys(previous.attributes).filter(key => !(key in attributes));
+
+        previous.attributes = attributes;
+        return { delta: true, attributes_changed: changed, attributes_removed: removed };
+    }
+}
+
+module.exports = {
+    DeltaEncoder,
+    CHECKPOINT_INTERVAL_MS
+};
@@ -0,0 +1,81 @@
+/**
+ * Sequenced State Stream
+ * Numbers every outbound (filtered) state change and keeps a bounded ring buffer of
+ * recent changes, so a client that reconnects can resume instead of re-downloading.
+ *
+ * Sequence numbers are only meaningful within one epoch (one bridge process); a client
+ * resuming with a different epoch must resync. A Home Assistant reconnect takes a
+ * sequence number of its own as a resync marker that cannot be resumed across.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const haWS = require('./haWebSocket');
+const updateFilter = require('./updateFilter');
+
+const BUFFER_SIZE = Number(process.env.STATE_REPLAY_BUFFER) || 1000;
+
+class StateStream extends EventEmitter {
+    constructor(size = BUFFER_SIZE) {
+        super();
+        this.epoch = crypto.randomBytes(4).toString('hex');
+        this.seq = 0;
+        this.size = size;
+        this.buffer = new Array(size);
+
+        updateFilter.on('state_changed', (data) => this.push(data));
+        haWS.on('resynced', (changes) => this.markResync(changes));
+    }
+
+    push(data) {
+        const seq = ++this.seq;
+        this.buffer[seq % this.size] = { seq, data };
+        this.emit('state_changed', data, seq);
+    }
+
+    /**
+     * Record a discontinuity; listeners get the changes to push as a diff
+     */
+    markResync(changes) {
+        const seq = ++this.seq;
+        this.buffer[seq % this.size] = { seq, resync: true };
+        this.emit('resync', changes, seq);
+    }
+
+    getSeq() {
+        return this.seq;
+    }
+
+    getEpoch() {
+        return this.epoch;
+    }
+
+    /**
+     * Position marker included with snapshots and status messages
+     */
+    getPosition() {
+        return { seq: this.seq, epoch: this.epoch };
+    }
+
+    /**
+     * Events after lastSeq, or null if they are no longer (or never were) in the buffer
+     * @returns {Array<{ seq: number, data: object }> | null}
+     */
+    since(lastSeq, epoch) {
+        if (epoch !== this.epoch) return null;
+        if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.seq) return null;
+        if (this.seq - lastSeq > this.size) return null;
+
+        const events = [];
+        for (let seq = lastSeq + 1; seq <= this.seq; seq++) {
+            const entry = this.buffer[seq % this.size];
+            if (!entry || entry.seq !== seq || entry.resync) return null;
+            events.push(entry);
+        }
+        return events;
+    }
+}
+
+// Export singleton instance
+const stateStream = new StateStream();
+module.exports = stateStream;
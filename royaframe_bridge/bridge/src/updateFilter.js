@@ -0,0 +1,207 @@
+/**
+ * Outbound Update Filter
+ * Throttles and deadband-filters HA state changes before they reach /ws clients and the relay.
+ * Emits the same 'state_changed' events as haWebSocket, just fewer of them.
+ *
+ * Configured from the add-on option update_filters or, taking precedence,
+ * /data/royaframe_update_filters.json:
+ *   {
+ *     "rules": [
+ *       { "match": ["sensor.*_power"], "min_interval_ms": 2000, "deadband": 5, "flush_ms": 30000 },
+ *       { "match": "sensor.cpu_temperature", "min_interval_ms": 10000 }
+ *     ]
+ *   }
+ *
+ * - min_interval_ms: at most one update per interval; the latest value is sent when it ends
+ * - deadband: for numeric states, only send when the value moved at least this much
+ * - flush_ms: changes held back by the deadband are sent after this delay (trailing flush)
+ * The first rule whose selectors match an entity applies (see entityMatch.js).
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const haWS = require('./haWebSocket');
+const { loadAddonOptions } = require('./options');
+const { parseSelectors, matchesAny } = require('./entityMatch');
+
+const UPDATE_FILTERS_PATH = process.env.UPDATE_FILTERS_PATH || '/data/royaframe_update_filters.json';
+const DEFAULT_FLUSH_MS = 30000;
+
+function loadFilterFile() {
+    if (!fs.existsSync(UPDATE_FILTERS_PATH)) return null;
+    try {
+        const data = JSON.parse(fs.readFileSync(UPDATE_FILTERS_PATH, 'utf8'));
+        if (data && Array.isArray(data.rules)) return data.rules;
+        console.error('[updateFilter] Filter file must contain a "rules" array');
+    } catch (err) {
+        console.error(`[updateFilter] Failed to parse update filter file: ${err.message}`);
+    }
+    return null;
+}
+
+function toNonNegative(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+    const match = Array.isArray(rule.match) ? rule.match : [rule.match];
+    const selectors = parseSelectors(match).filter(sel => sel.kind !== 'area');
+    if (selectors.length === 0) return null;
+
+    const minIntervalMs = toNonNegative(rule.min_interval_ms);
+    const deadband = toNonNegative(rule.deadband);
+    if (!minIntervalMs && !deadband) return null;
+
+    return {
+        match: selectors.map(sel => sel.value),
+        selectors,
+        minIntervalMs,
+        deadband,
+        flushMs: toNonNegative(rule.flush_ms) || Math.max(minIntervalMs, DEFAULT_FLUSH_MS)
+    };
+}
+
+function toNumber(state) {
+    if (state === null || state === undefined || state === '') return null;
+    const n = Number(state);
+    return Number.isFinite(n) ? n : null;
+}
+
+class UpdateFilter extends EventEmitter {
+    constructor() {
+        super();
+        this.rules = [];
+        this.source = 'none';
+        // entity_id -> { lastState, lastSentAt, pending, timer, dueAt }
+        this.entities = new Map();
+        this.suppressed = 0;
+
+        this.load();
+
+        haWS.on('state_changed', (data) => this.handleStateChange(data));
+        haWS.on('disconnected', () => this.reset());
+        // Held-back values are superseded by the fresh snapshot
+        haWS.on('resynced', () => this.reset());
+    }
+
+    load() {
+        const fileRules = loadFilterFile();
+        const rules = fileRules || loadAddonOptions().update_filters || [];
+        this.rules = (Array.isArray(rules) ? rules : []).map(normalizeRule).filter(Boolean);
+        this.source = this.rules.length === 0 ? 'none' : (fileRules ? 'file' : 'options');
+        console.log(`[updateFilter] ${this.rules.length} update filter rules loaded from ${this.source}`);
+    }
+
+    ruleFor(entityId) {
+        return this.rules.find(rule => matchesAny(entityId, rule.selectors)) || null;
+    }
+
+    handleStateChange(data) {
+        const rule = this.rules.length > 0 ? this.ruleFor(data.entity_id) : null;
+        if (!rule) {
+            this.emit('state_changed', data);
+            return;
+        }
+
+        let entry = this.entities.get(data.entity_id);
+        if (!entry) {
+            entry = { lastState: data.old_state, lastSentAt: 0, pending: null, timer: null, dueAt: 0 };
+            this.entities.set(data.entity_id, entry);
+        }
+
+        const now = Date.now();
+
+        // Removals are always delivered immediately
+        if (!data.new_state) {
+            this.send(data.entity_id, entry, data);
+            return;
+        }
+
+        const significant = this.isSignificant(rule, entry.lastState, data.new_state);
+        const intervalOk = now - entry.lastSentAt >= rule.minIntervalMs;
+
+        if (significant && intervalOk) {
+            this.send(data.entity_id, entry, data);
+            return;
+        }
+
+        // Hold back the latest value and make sure it is flushed eventually
+        this.suppressed++;
+        entry.pending = data;
+        const dueAt = significant ? entry.lastSentAt + rule.minIntervalMs : now + rule.flushMs;
+        if (!entry.timer || dueAt < entry.dueAt) {
+            this.scheduleFlush(data.entity_id, entry, dueAt);
+        }
+    }
+
+    isSignificant(rule, lastState, newState) {
+        if (!rule.deadband || !lastState) return true;
+        const previous = toNumber(lastState.state);
+        const current = toNumber(newState.state);
+        if (previous === null || current === null) {
+            return lastState.state !== newState.state;
+        }
+        return Math.abs(current - previous) >= rule.deadband;
+    }
+
+    scheduleFlush(entityId, entry, dueAt) {
+        if (entry.timer) clearTimeout(entry.timer);
+        entry.dueAt = dueAt;
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            if (entry.pending) this.send(entityId, entry, entry.pending);
+        }, Math.max(dueAt - Date.now(), 0));
+    }
+
+    send(entityId, entry, data) {
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+        }
+        const event = {
+            entity_id: entityId,
+            new_state: data.new_state,
+            // Receivers saw lastState, not whatever was held back in between
+            old_state: entry.lastState
+        };
+        entry.pending = null;
+        entry.lastState = data.new_state;
+        entry.lastSentAt = Date.now();
+        if (!data.new_state) this.entities.delete(entityId);
+        this.emit('state_changed', event);
+    }
+
+    /**
+     * Drop held-back values and timers (e.g. when HA disconnects)
+     */
+    reset() {
+        for (const entry of this.entities.values()) {
+            if (entry.timer) clearTimeout(entry.timer);
+        }
+        this.entities.clear();
+    }
+
+    getStatus() {
+        let pending = 0;
+        for (const entry of this.entities.values()) {
+            if (entry.pending) pending++;
+        }
+        return {
+            source: this.source,
+            rules: this.rules.map(rule => ({
+                match: rule.match,
+                min_interval_ms: rule.minIntervalMs,
+                deadband: rule.deadband,
+                flush_ms: rule.flushMs
+            })),
+            pending,
+            suppressed: this.suppressed
+        };
+    }
+}
+
+// Export singleton instance
+const updateFilter = new UpdateFilter();
+module.exports = updateFilter;
@@ -0,0 +1,433 @@
+/**
+ * Outbound Webhooks
+ * POSTs selected state changes to local HTTP services (dashboards, Node-RED) so they do not
+ * need an HA token. Each webhook has its own entity selectors and signing secret. URLs must
+ * point at the local network (private or loopback address, or a local host name); webhooks
+ * are managed through Ingress only (server.js).
+ *
+ * Stored in /data/royaframe_webhooks.json:
+ *   { "webhooks": [{ "id": "1f2e3d4c", "name": "Node-RED", "url": "http://192.168.1.5:1880/ha",
+ *                    "entities": ["light", "binary_sensor.door_*"], "secret": "...", "enabled": true }] }
+ *
+ * Every request carries X-RoyaFrame-Signature: sha256=<HMAC-SHA256 of the raw body, keyed
+ * with the webhook secret>. Deliveries to one webhook are sent in order; failures are retried
+ * with backoff and then moved to the dead-letter log (royaframe_webhook_dead_letters.json).
+ * While a target is down and its queue is full, the oldest deliveries are dropped and only
+ * counted, so a flood of state changes does not keep rewriting the log on the SD card.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const haWS = require('./haWebSocket');
+const registry = require('./registry');
+const { parseSelectors, matchesAny } = require('./entityMatch');
+
+const WEBHOOKS_PATH = process.env.WEBHOOKS_PATH || '/data/royaframe_webhooks.json';
+const DEAD_LETTER_PATH = process.env.WEBHOOK_DEAD_LETTER_PATH || '/data/royaframe_webhook_dead_letters.json';
+
+const MAX_WEBHOOKS = 20;
+const MAX_QUEUE = 500;
+const MAX_DEAD_LETTERS = 100;
+// Dead letters are written to disk at most this often
+const DEAD_LETTER_SAVE_MS = 10 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Delay before each retry; attempts = RETRY_DELAYS_MS.length + 1
+const RETRY_DELAYS_MS = [1000, 5000, 30000];
+// Host names without a dot (nodered, a0d7b954-nodered) or with these suffixes count as local
+const LOCAL_HOST_SUFFIXES = ['.local', '.lan', '.home', '.home.arpa', '.internal', '.localdomain'];
+
+/**
+ * Whether a URL host is on the local network: RFC 1918, loopback or link-local
+ * addresses, IPv6 unique-local addresses, or a local host name
+ */
+function isLocalHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    switch (net.isIP(host)) {
+        case 4: {
+            const [a, b] = host.split('.').map(Number);
+            return a === 10 || a === 127 || (a === 172 && b >= 16 && b <= 31) ||
+                (a === 192 && b === 168) || (a === 169 && b === 254);
+        }
+        case 6:
+            return host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+        default:
+            return !host.includes('.') || LOCAL_HOST_SUFFIXES.some(suffix => host.endsWith(suffix));
+    }
+}
+
+/**
+ * Validate and normalize a webhook definition. Throws on invalid input.
+ * @param {object} input
+ * @param {object} [existing] - Current definition when updating
+ */
+function normalizeWebhook(input, existing = {}) {
+    const merged = { ...existing, ...input };
+
+    let url;
+    try {
+        url = new URL(merged.url);
+    } catch {
+        throw new Error('url must be an http(s) URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error('url must be an http(s) URL');
+    }
+    if (!isLocalHost(url.hostname)) {
+        throw new Error('url must point at a local service (private IP address or local host name)');
+    }
+
+    const entities = merged.entities === undefined ? [] : merged.entities;
+    if (!Array.isArray(entities) || entities.some(e => typeof e !== 'string')) {
+        throw new Error('entities must be an array of selectors');
+    }
+    const selectors = entities.map(e => e.trim()).filter(Boolean);
+    if (parseSelectors(selectors).length !== selectors.length) {
+        throw new Error('entities must contain entity IDs, domains, globs or area:<name>');
+    }
+
+    const secret = merged.secret === undefined ? crypto.randomBytes(32).toString('hex') : merged.secret;
+    if (typeof secret !== 'string' || secret.length < 16) {
+        throw new Error('secret must be at least 16 characters');
+    }
+
+    return {
+        id: existing.id || crypto.randomBytes(4).toString('hex'),
+        name: typeof merged.name === 'string' && merged.name.trim() ? merged.name.trim().slice(0, 100) : url.host,
+        url: url.toString(),
+        entities: selectors,
+        secret,
+        enabled: merged.enabled !== false
+    };
+}
+
+/**
+ * HMAC-SHA256 signature header value for a body
+ */
+function sign(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+class Webhooks {
+    constructor(storagePath = WEBHOOKS_PATH, deadLetterPath = DEAD_LETTER_PATH) {
+        this.storagePath = storagePath;
+        this.deadLetterPath = deadLetterPath;
+        this.webhooks = [];
+        // id -> { selectors, queue, sending, stats }
+        this.runtime = new Map();
+        this.deadLetters = [];
+        this.deadLetterTimer = null;
+        this.load();
+
+        haWS.on('state_changed', (data) => this.handleStateChange(data));
+    }
+
+    load() {
+        this.webhooks = [];
+        if (fs.existsSync(this.storagePath)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+                for (const webhook of data.webhooks || []) {
+                    try {
+                        this.webhooks.push(normalizeWebhook(webhook, { id: webhook.id }));
+                    } catch (err) {
+                        console.error(`[webhooks] Skipping invalid webhook ${webhook.id}: ${err.message}`);
+                    }
+                }
+            } catch (err) {
+                console.error(`[webhooks] Failed to parse webhooks file: ${err.message}`);
+            }
+        }
+        if (fs.existsSync(this.deadLetterPath)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.deadLetterPath, 'utf8'));
+                if (Array.isArray(data)) {
+                    this.deadLetters = data.slice(-MAX_DEAD_LETTERS);
+                } else {
+                    console.error('[webhooks] Ignoring dead-letter log: not an array');
+                }
+            } catch (err) {
+                console.error(`[webhooks] Failed to parse dead-letter log: ${err.message}`);
+            }
+        }
+        for (const webhook of this.webhooks) this.initRuntime(webhook);
+        console.log(`[webhooks] ${this.webhooks.length} webhooks loaded, ${this.deadLetters.length} dead letters`);
+    }
+
+    initRuntime(webhook) {
+        const runtime = this.runtime.get(webhook.id);
+        if (runtime) {
+            runtime.selectors = parseSelectors(webhook.entities);
+            return;
+        }
+        this.runtime.set(webhook.id, {
+            selectors: parseSelectors(webhook.entities),
+            queue: [],
+            sending: false,
+            stats: {
+                delivered: 0,
+                failed: 0,
+                dropped: 0,
+                last_status: null,
+                last_error: null,
+                last_delivery_at: null
+            }
+        });
+    }
+
+    save() {
+        writeJson(this.storagePath, { webhooks: this.webhooks });
+    }
+
+    get(id) {
+        return this.webhooks.find(w => w.id === id) || null;
+    }
+
+    /**
+     * Add a webhook. Throws on invalid input. Returns the definition including its secret.
+     */
+    create(input) {
+        if (this.webhooks.length >= MAX_WEBHOOKS) {
+            throw new Error(`Too many webhooks (max ${MAX_WEBHOOKS})`);
+        }
+        const webhook = normalizeWebhook(input);
+        this.webhooks.push(webhook);
+        this.initRuntime(webhook);
+        this.save();
+        console.log(`[webhooks] Added webhook ${webhook.id} (${webhook.name})`);
+        return { ...this.toPublic(webhook), secret: webhook.secret };
+    }
+
+    /**
+     * Change a webhook; omitted fields keep their value. Returns null if unknown.
+     */
+    update(id, input) {
+        const index = this.webhooks.findIndex(w => w.id === id);
+        if (index === -1) return null;
+        const webhook = normalizeWebhook(input, this.webhooks[index]);
+        this.webhooks[index] = webhook;
+        this.initRuntime(webhook);
+        if (!webhook.enabled) {
+            // Deliveries already queued are dropped, not sent later
+            this.runtime.get(id).queue = [];
+        }
+        this.save();
+        console.log(`[webhooks] Updated webhook ${id}`);
+        return this.toPublic(webhook);
+    }
+
+    remove(id) {
+        const index = this.webhooks.findIndex(w => w.id === id);
+        if (index === -1) return false;
+        this.webhooks.splice(index, 1);
+        this.runtime.delete(id);
+        this.save();
+        console.log(`[webhooks] Removed webhook ${id}`);
+        return true;
+    }
+
+    /**
+     * Replace a webhook's secret. Returns the new secret, or null if unknown.
+     */
+    rotateSecret(id) {
+        const webhook = this.get(id);
+        if (!webhook) return null;
+        webhook.secret = crypto.randomBytes(32).toString('hex');
+        this.save();
+        return webhook.secret;
+    }
+
+    handleStateChange(data) {
+        for (const webhook of this.webhooks) {
+            if (!webhook.enabled) continue;
+            const runtime = this.runtime.get(webhook.id);
+            if (runtime.selectors.length > 0 &&
+                !matchesAny(data.entity_id, runtime.selectors, (id) => registry.getAreaKeys(id))) {
+                continue;
+            }
+            this.enqueue(webhook, {
+                event: 'state_changed',
+                entity_id: data.entity_id,
+                new_state: data.new_state,
+                old_state: data.old_state
+            });
+        }
+    }
+
+    enqueue(webhook, payload) {
+        const runtime = this.runtime.get(webhook.id);
+        const delivery = {
+            id: crypto.randomBytes(8).toString('hex'),
+            payload: { ...payload, webhook_id: webhook.id, timestamp: new Date().toISOString() },
+            attempts: 0
+        };
+        if (runtime.queue.length >= MAX_QUEUE) {
+            runtime.queue.shift();
+            if (runtime.stats.dropped++ % MAX_QUEUE === 0) {
+                console.warn(`[webhooks] Queue for ${webhook.id} is full, dropping the oldest deliveries (${runtime.stats.dropped} so far)`);
+            }
+        }
+        runtime.queue.push(delivery);
+        this.drain(webhook.id);
+    }
+
+    /**
+     * Send queued deliveries for one webhook, one at a time
+     */
+    async drain(id) {
+        const runtime = this.runtime.get(id);
+        if (!runtime || runtime.sending) return;
+        runtime.sending = true;
+        try {
+            while (runtime.queue.length > 0) {
+                const webhook = this.get(id);
+                if (!webhook || !webhook.enabled || this.runtime.get(id) !== runtime) return;
+                const delivery = runtime.queue[0];
+                const result = await this.deliver(webhook, delivery);
+                // Disabled (queue dropped) while the request was in flight
+                if (runtime.queue[0] !== delivery) continue;
+                delivery.attempts++;
+                runtime.stats.last_status = result.status || null;
+                runtime.stats.last_error = result.error || null;
+                runtime.stats.last_delivery_at = new Date().toISOString();
+
+                if (result.ok) {
+                    runtime.stats.delivered++;
+                    runtime.queue.shift();
+                } else if (!result.retry || delivery.attempts > RETRY_DELAYS_MS.length) {
+                    runtime.stats.failed++;
+                    this.deadLetter(webhook, runtime.queue.shift(), result.error);
+                } else {
+                    const delay = RETRY_DELAYS_MS[delivery.attempts - 1];
+                    console.warn(`[webhooks] Delivery to ${webhook.id} failed (${result.error}), retrying in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay).unref());
+                }
+            }
+        } finally {
+            runtime.sending = false;
+        }
+    }
+
+    /**
+     * POST one delivery
+     * @returns {Promise<{ ok: boolean, status?: number, error?: string, retry?: boolean }>}
+     */
+    async deliver(webhook, delivery) {
+        const body = JSON.stringify({ ...delivery.payload, delivery_id: delivery.id });
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'royaframe-bridge',
+                    'X-RoyaFrame-Event': delivery.payload.event,
+                    'X-RoyaFrame-Delivery': delivery.id,
+                    'X-RoyaFrame-Signature': sign(webhook.secret, body)
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            if (response.ok) return { ok: true, status: response.status };
+            // Client errors other than rate limiting will not succeed on retry
+            const retry = response.status >= 500 || response.status === 429 || response.status === 408;
+            return { ok: false, status: response.status, error: `HTTP ${response.status}`, retry };
+        } catch (err) {
+            const error = err.name === 'TimeoutError' ? `Timeout after ${REQUEST_TIMEOUT_MS}ms` : err.message;
+            return { ok: false, error, retry: true };
+        }
+    }
+
+    /**
+     * Send a test delivery now, bypassing the queue and retries
+     */
+    async test(id) {
+        const webhook = this.get(id);
+        if (!webhook) return null;
+        return this.deliver(webhook, {
+            id: crypto.randomBytes(8).toString('hex'),
+            payload: { event: 'ping', webhook_id: id, timestamp: new Date().toISOString() }
+        });
+    }
+
+    deadLetter(webhook, delivery, error) {
+        console.error(`[webhooks] Delivery ${delivery.id} to ${webhook.id} failed after ${delivery.attempts} attempts: ${error}`);
+        this.deadLetters.push({
+            delivery_id: delivery.id,
+            webhook_id: webhook.id,
+            url: webhook.url,
+            attempts: delivery.attempts,
+            error,
+            failed_at: new Date().toISOString(),
+            payload: delivery.payload
+        });
+        if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+            this.deadLetters.splice(0, this.deadLetters.length - MAX_DEAD_LETTERS);
+        }
+        this.scheduleDeadLetterSave();
+    }
+
+    /**
+     * Write the dead-letter log once DEAD_LETTER_SAVE_MS after the first new entry
+     */
+    scheduleDeadLetterSave() {
+        if (this.deadLetterTimer) return;
+        this.deadLetterTimer = setTimeout(() => this.flushDeadLetters(), DEAD_LETTER_SAVE_MS);
+        this.deadLetterTimer.unref();
+    }
+
+    /**
+     * Write dead letters that are still waiting for scheduleDeadLetterSave (also on shutdown)
+     */
+    flushDeadLetters() {
+        if (!this.deadLetterTimer) return;
+        clearTimeout(this.deadLetterTimer);
+        this.deadLetterTimer = null;
+        try {
+            writeJson(this.deadLetterPath, this.deadLetters);
+        } catch (err) {
+            console.error(`[webhooks] Failed to write dead-letter log: ${err.message}`);
+        }
+    }
+
+    getDeadLetters() {
+        return this.deadLetters;
+    }
+
+    clearDeadLetters() {
+        clearTimeout(this.deadLetterTimer);
+        this.deadLetterTimer = null;
+        this.deadLetters = [];
+        if (fs.existsSync(this.deadLetterPath)) {
+            fs.unlinkSync(this.deadLetterPath);
+        }
+    }
+
+    /**
+     * Definition with delivery stats; the secret is only returned on create/rotate
+     */
+    toPublic(webhook) {
+        const { secret, ...rest } = webhook;
+        const runtime = this.runtime.get(webhook.id);
+        return { ...rest, queued: runtime.queue.length, ...runtime.stats };
+    }
+
+    getStatus() {
+        return {
+            webhooks: this.webhooks.map(w => this.toPublic(w)),
+            dead_letters: this.deadLetters.length
+        };
+    }
+}
+
+function writeJson(filePath, data) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+// Export singleton instance
+const webhooks = new Webhooks();
+module.exports = webhooks;
@@ -4,13 +4,25 @@
  * and send commands to Home Assistant.
  */
 
+const http = require('http');
 const WebSocket = require('ws');
 const haWS = require('./haWebSocket');
+const stateStream = require('./stateStream');
+const commands = require('./commands');
+const localAuth = require('./localAuth');
+const { BridgeError, toBridgeError, httpStatus } = require('./errors');
+const { stripIngressPrefix } = require('./router');
+const { parseSelectors, matchesAny } = require('./entityMatch');
 
 class WSServer {
     constructor() {
         this.wss = null;
         this.clients = new Set();
+        // Per-client entity subscriptions: ws -> Map<selector string, parsed selector>
+        // Clients without an entry receive every state change
+        this.subscriptions = new Map();
+        // Per-client command sessions (own the HA event/template subscriptions): ws -> session
+        this.sessions = new Map();
     }
 
     /**
@@ -21,37 +33,51 @@ class WSServer {
         this.wss = new WebSocket.Server({ noServer: true });
 
         // Handle upgrade requests from HTTP server
-        httpServer.on('upgrade', (request, socket, head) => {
+        httpServer.on('upgrade', async (request, socket, head) => {
             const url = new URL(request.url, `http://localhost`);
-            let pathname = url.pathname;
-
-            // Strip ingress prefix if present
-            if (pathname.includes('/api/hassio_ingress/')) {
-                const parts = pathname.split('/');
-                const ingressIndex = parts.findIndex(p => p === 'hassio_ingress');
-                if (ingressIndex !== -1 && parts.length > ingressIndex + 2) {
-                    pathname = '/' + parts.slice(ingressIndex + 2).join('/');
-                }
-            }
+            const pathname = stripIngressPrefix(url.pathname);
 
-            if (pathname === '/ws') {
-                this.wss.handleUpgrade(request, socket, head, (ws) => {
-                    this.wss.emit('connection', ws, request);
-                });
-            } else {
+            if (pathname !== '/ws') {
                 socket.destroy();
+                return;
+            }
+            // Node drops the socket's error listener before 'upgrade'; without one, a client
+            // resetting while credentials are checked would be an uncaught error
+            const onSocketError = () => socket.destroy();
+            socket.on('error', onSocketError);
+
+            // Direct connections (not through Ingress) need credentials
+            try {
+                await localAuth.authenticate(request, url);
+            } catch (err) {
+                if (!socket.destroyed) this.rejectUpgrade(socket, toBridgeError(err));
+                return;
             }
+            if (socket.destroyed) return;
+            socket.removeListener('error', onSocketError);
+            this.wss.handleUpgrade(request, socket, head, (ws) => {
+                this.wss.emit('connection', ws, request);
+            });
         });
 
         // Handle new connections
         this.wss.on('connection', (ws, request) => {
             console.log('[wsServer] Client connected');
             this.clients.add(ws);
+            this.sessions.set(ws, commands.createSession({
+                tag: 'wsServer',
+                channel: 'ws',
+                remote: false,
+                client: `ws:${localAuth.clientAddress(request)}`,
+                send: (frame) => this.sendResponse(ws, frame),
+                isOpen: () => this.clients.has(ws)
+            }));
 
-            // Send current connection status
+            // Send current connection status and stream position
             ws.send(JSON.stringify({
                 type: 'connection_status',
-                connected: haWS.isConnected()
+                connected: haWS.isConnected(),
+                ...stateStream.getPosition()
             }));
 
             // Handle incoming messages
@@ -62,20 +88,30 @@ class WSServer {
             ws.on('close', () => {
                 console.log('[wsServer] Client disconnected');
                 this.clients.delete(ws);
+                this.subscriptions.delete(ws);
+                this.closeSession(ws);
             });
 
             ws.on('error', (err) => {
                 console.error('[wsServer] Client error:', err.message);
                 this.clients.delete(ws);
+                this.subscriptions.delete(ws);
+                this.closeSession(ws);
             });
         });
 
-        // Forward state_changed events from HA to all clients
-        haWS.on('state_changed', (data) => {
+        // Forward (throttled, sequenced) state_changed events from HA to subscribed clients
+        stateStream.on('state_changed', (data, seq) => {
             this.broadcast({
                 type: 'state_changed',
+                seq,
                 data
-            });
+            }, data.entity_id);
+        });
+
+        // After an HA reconnect, push what changed while the bridge was disconnected
+        stateStream.on('resync', (changes, seq) => {
+            this.sendResync(changes, seq);
         });
 
         // Notify clients of HA connection status changes
@@ -91,88 +127,219 @@ class WSServer {
     }
 
     /**
-     * Handle message from a client
+     * Answer a refused upgrade with a plain HTTP error
+     */
+    rejectUpgrade(socket, err) {
+        const status = httpStatus(err.code);
+        const body = JSON.stringify({ error: err.message, code: err.code });
+        let headers = err.code === 'unauthorized' ? 'WWW-Authenticate: Bearer realm="RoyaFrame Bridge"\r\n' : '';
+        if (err.details?.retry_after) headers += `Retry-After: ${err.details.retry_after}\r\n`;
+        console.warn(`[wsServer] Refused connection: ${err.message}`);
+        socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n${headers}` +
+            `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+    }
+
+    /**
+     * Handle message from a client. Stream commands (resume, entity subscriptions) are
+     * handled here; everything else goes through the shared command layer.
      */
     async handleClientMessage(ws, data) {
         let msg;
         try {
-            msg = JSON.parse(data.toString());
+            msg = commands.parse(data);
         } catch (err) {
-            this.sendError(ws, 'Invalid JSON');
+            this.sendError(ws, {}, err);
             return;
         }
 
-        const requestId = msg.id; // Optional request ID for response correlation
-
         try {
+            commands.validate(this.sessions.get(ws), msg, data.length);
             switch (msg.type) {
-                case 'call_service':
-                    if (!msg.domain || !msg.service) {
-                        this.sendError(ws, 'Missing domain or service', requestId);
-                        return;
-                    }
-                    const result = await haWS.callService(
-                        msg.domain,
-                        msg.service,
-                        msg.data || {},
-                        msg.target || {}
-                    );
-                    this.sendResponse(ws, {
-                        type: 'service_result',
-                        success: true,
-                        result
-                    }, requestId);
+                case 'resume':
+                    this.resume(ws, msg);
+                    break;
+
+                case 'subscribe_states':
+                    this.subscribeStates(ws, msg);
                     break;
 
-                case 'get_states':
-                    const states = await haWS.request({ type: 'get_states' });
-                    this.sendResponse(ws, {
-                        type: 'states',
-                        data: states
-                    }, requestId);
+                case 'subscribe_entities':
+                    this.subscribeEntities(ws, msg);
                     break;
 
-                case 'ping':
-                    this.sendResponse(ws, { type: 'pong' }, requestId);
+                case 'unsubscribe_entities':
+                    this.unsubscribeEntities(ws, msg);
                     break;
 
-                default:
-                    this.sendError(ws, `Unknown message type: ${msg.type}`, requestId);
+                default: {
+                    const result = await commands.dispatch(this.sessions.get(ws), msg);
+                    // The client disconnected while the command ran
+                    if (result === undefined) break;
+                    this.sendResponse(ws, commands.toReply(msg, result));
+                }
             }
         } catch (err) {
-            this.sendError(ws, err.message, requestId);
+            this.sendError(ws, msg, err);
+        }
+    }
+
+    /**
+     * Add entity selectors to a client's subscription and send a snapshot of the matching states
+     */
+    subscribeEntities(ws, msg) {
+        const entities = msg.entities;
+        if (!Array.isArray(entities) || entities.length === 0) {
+            throw new BridgeError('invalid_request', 'entities must be a non-empty array of entity IDs, domains or globs');
+        }
+        const selectors = parseSelectors(entities);
+        if (selectors.length !== entities.length || selectors.some(sel => sel.kind === 'area')) {
+            throw new BridgeError('invalid_request', 'entities must contain entity IDs, domains or globs');
+        }
+
+        haWS.assertStates();
+
+        let subscription = this.subscriptions.get(ws);
+        if (!subscription) {
+            subscription = new Map();
+            this.subscriptions.set(ws, subscription);
+        }
+        for (const sel of selectors) {
+            subscription.set(sel.value, sel);
+        }
+
+        const matching = haWS.query({ entities });
+        this.sendResponse(ws, commands.correlate(msg, {
+            type: 'states',
+            subscription: [...subscription.keys()],
+            ...stateStream.getPosition(),
+            data: matching
+        }));
+    }
+
+    /**
+     * Receive every state change again: send a states snapshot, then reply with its size.
+     * The relay's subscribe_states for /ws clients (no attribute deltas here).
+     */
+    subscribeStates(ws, msg) {
+        haWS.assertStates();
+        this.subscriptions.delete(ws);
+        const states = haWS.getAllStates();
+        this.sendResponse(ws, { type: 'states', ...stateStream.getPosition(), data: states });
+        this.sendResponse(ws, commands.correlate(msg, {
+            type: 'result',
+            success: true,
+            result: { count: states.length, delta: false }
+        }));
+    }
+
+    /**
+     * Send each client the changes (matching its subscription) from an HA resync
+     */
+    sendResync(changes, seq) {
+        for (const client of this.clients) {
+            const relevant = changes.filter(c => this.isSubscribed(client, c.entity_id));
+            this.sendResponse(client, {
+                type: 'states',
+                resync: true,
+                seq,
+                epoch: stateStream.getEpoch(),
+                data: relevant.filter(c => c.new_state).map(c => c.new_state),
+                removed: relevant.filter(c => !c.new_state).map(c => c.entity_id)
+            });
+        }
+    }
+
+    /**
+     * Replay state changes a client missed while disconnected
+     */
+    resume(ws, msg) {
+        const events = stateStream.since(msg.last_seq, msg.epoch);
+        if (!events) {
+            this.sendResponse(ws, commands.correlate(msg, { type: 'resync_required', ...stateStream.getPosition() }));
+            return;
+        }
+
+        let replayed = 0;
+        for (const { seq, data } of events) {
+            if (!this.isSubscribed(ws, data.entity_id)) continue;
+            this.sendResponse(ws, { type: 'state_changed', seq, data });
+            replayed++;
         }
+        this.sendResponse(ws, commands.correlate(msg, {
+            type: 'result',
+            success: true,
+            result: { ...stateStream.getPosition(), replayed }
+        }));
     }
 
     /**
-     * Send a response to a specific client
+     * Remove entity selectors from a client's subscription (all of them if none are given)
      */
-    sendResponse(ws, msg, requestId) {
-        if (ws.readyState === WebSocket.OPEN) {
-            const response = requestId !== undefined ? { ...msg, id: requestId } : msg;
-            ws.send(JSON.stringify(response));
+    unsubscribeEntities(ws, msg) {
+        const entities = msg.entities;
+        const subscription = this.subscriptions.get(ws);
+        if (subscription) {
+            if (Array.isArray(entities) && entities.length > 0) {
+                for (const sel of parseSelectors(entities)) {
+                    subscription.delete(sel.value);
+                }
+            } else {
+                subscription.clear();
+            }
         }
+        this.sendResponse(ws, commands.correlate(msg, {
+            type: 'result',
+            success: true,
+            result: { subscription: subscription ? [...subscription.keys()] : [] }
+        }));
+    }
+
+    /**
+     * End a client's HA event/template subscriptions
+     */
+    closeSession(ws) {
+        const session = this.sessions.get(ws);
+        if (!session) return;
+        commands.closeSession(session);
+        this.sessions.delete(ws);
+    }
+
+    /**
+     * Check whether a client should receive changes for an entity
+     */
+    isSubscribed(ws, entityId) {
+        const subscription = this.subscriptions.get(ws);
+        if (!subscription) return true;
+        return matchesAny(entityId, [...subscription.values()]);
+    }
+
+    /**
+     * Send a message to a specific client. Returns true if it was sent.
+     */
+    sendResponse(ws, msg) {
+        if (ws.readyState !== WebSocket.OPEN) return false;
+        ws.send(JSON.stringify(msg));
+        return true;
     }
 
     /**
-     * Send an error to a specific client
+     * Reply to a failed request the same way the relay does (see commands.toErrorReply)
      */
-    sendError(ws, message, requestId) {
-        this.sendResponse(ws, {
-            type: 'error',
-            error: message
-        }, requestId);
+    sendError(ws, request, err) {
+        this.sendResponse(ws, commands.toErrorReply(request, err));
     }
 
     /**
      * Broadcast a message to all connected clients
+     * @param {object} msg - Message to send
+     * @param {string} [entityId] - Only deliver to clients subscribed to this entity
      */
-    broadcast(msg) {
+    broadcast(msg, entityId) {
         const data = JSON.stringify(msg);
         for (const client of this.clients) {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(data);
-            }
+            if (client.readyState !== WebSocket.OPEN) continue;
+            if (entityId && !this.isSubscribed(client, entityId)) continue;
+            client.send(data);
         }
     }
 